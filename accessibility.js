@@ -0,0 +1,136 @@
+// Accessible card layer
+//
+// The WebGL canvas is invisible to assistive technology, so every dealt card
+// gets a focusable button proxy in the DOM. Proxies use a roving tabindex:
+// Tab reaches the spread once, arrow keys move between cards, Enter or Space
+// activates the focused card. A live region announces what was revealed.
+
+let cardProxyHandlers = null;  // { onFocusCard(index), onBlurCards(), onActivateCard(index) }
+
+// Get the proxy buttons in card order
+function getCardProxies() {
+    const container = document.getElementById('card-proxies');
+    return container ? Array.from(container.querySelectorAll('button')) : [];
+}
+
+// Make one proxy the tab stop of the group, optionally focusing it
+function setActiveCardProxy(index, focus) {
+    const proxies = getCardProxies();
+    proxies.forEach((proxy, i) => {
+        proxy.tabIndex = i === index ? 0 : -1;
+    });
+
+    if (focus && proxies[index]) {
+        proxies[index].focus();
+    }
+}
+
+// Rebuild the proxies, one per card, from their accessible labels
+function renderCardProxies(labels) {
+    const container = document.getElementById('card-proxies');
+    if (!container) {
+        return;
+    }
+
+    // Keep focus on the same card when the proxies are rebuilt
+    const proxies = getCardProxies();
+    const focusedIndex = proxies.indexOf(document.activeElement);
+
+    container.innerHTML = '';
+    labels.forEach((label, i) => {
+        const proxy = document.createElement('button');
+        proxy.type = 'button';
+        proxy.className = 'card-proxy';
+        proxy.textContent = label;
+        proxy.dataset.index = String(i);
+        container.appendChild(proxy);
+    });
+
+    const activeIndex = focusedIndex >= 0 ? Math.min(focusedIndex, labels.length - 1) : 0;
+    setActiveCardProxy(activeIndex, focusedIndex >= 0);
+}
+
+// Update the label of a single proxy after its card changed
+function updateCardProxyLabel(index, label) {
+    const proxy = getCardProxies()[index];
+    if (proxy) {
+        proxy.textContent = label;
+    }
+}
+
+// Read a message out through the live region
+function announce(message) {
+    const announcer = document.getElementById('reading-announcer');
+    if (!announcer) {
+        return;
+    }
+
+    // Clearing first makes screen readers repeat identical messages
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
+// Wire focus, arrow keys and activation of the proxies to the scene
+function setupCardProxies(handlers) {
+    const container = document.getElementById('card-proxies');
+    if (!container) {
+        return;
+    }
+
+    cardProxyHandlers = handlers;
+
+    container.addEventListener('focusin', event => {
+        const index = getCardProxies().indexOf(event.target);
+        if (index !== -1) {
+            setActiveCardProxy(index, false);
+            cardProxyHandlers.onFocusCard(index);
+        }
+    });
+
+    container.addEventListener('focusout', event => {
+        // Only clear the highlight when focus leaves the group entirely
+        if (!container.contains(event.relatedTarget)) {
+            cardProxyHandlers.onBlurCards();
+        }
+    });
+
+    container.addEventListener('click', event => {
+        const index = getCardProxies().indexOf(event.target);
+        if (index !== -1) {
+            cardProxyHandlers.onActivateCard(index);
+        }
+    });
+
+    container.addEventListener('keydown', event => {
+        const proxies = getCardProxies();
+        const index = proxies.indexOf(document.activeElement);
+        if (index === -1) {
+            return;
+        }
+
+        let nextIndex;
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                nextIndex = (index + 1) % proxies.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                nextIndex = (index - 1 + proxies.length) % proxies.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = proxies.length - 1;
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        setActiveCardProxy(nextIndex, true);
+    });
+}
@@ -0,0 +1,169 @@
+// Are.na API client
+//
+// Every request to Are.na goes through one client so they are all treated the
+// same: a timeout, retries with exponential backoff after network and server
+// errors, and a pause when Are.na rate limits us (429, honouring Retry-After).
+// Retries stop after a fixed number of attempts.
+//
+//   const block = await arenaClient.get(`/blocks/${id}`);
+//   const results = await arenaClient.get('/search', { q: 'Bauhaus', per: 100 }, { ttl: 60 * 60 * 1000 });
+//
+// Requests with a ttl are answered from the client's response cache (see
+// response-cache.js) when it has a copy no older than ttl milliseconds.
+//
+// Failed requests reject with an ArenaApiError. Its kind is one of 'timeout',
+// 'network', 'rate-limit', 'http' or 'invalid' (the response was not the JSON
+// we expected), and status holds the HTTP status when there was one.
+
+const ARENA_API_BASE = 'https://api.are.na/v2';
+const ARENA_REQUEST_TIMEOUT = 10000;  // Milliseconds before a request is aborted
+const ARENA_MAX_ATTEMPTS = 4;         // Tries per request, the first one included
+const ARENA_RETRY_DELAY = 500;        // Wait before the first retry, doubled for every next one
+const ARENA_MAX_RETRY_DELAY = 8000;   // Longest backoff between two tries
+const ARENA_MAX_RETRY_AFTER = 30000;  // Give up instead of waiting longer for a rate limit to pass
+
+// A failed Are.na request
+class ArenaApiError extends Error {
+    constructor(message, { kind, status = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ArenaApiError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfter = retryAfter;  // Milliseconds Are.na asked us to wait, if it did
+        this.cause = cause;
+    }
+}
+
+// Check whether trying a failed request again could help
+function isRetryableArenaError(error) {
+    if (!(error instanceof ArenaApiError)) {
+        return false;
+    }
+    if (error.kind === 'http') {
+        return error.status === 408 || error.status >= 500;
+    }
+    return error.kind === 'timeout' || error.kind === 'network' || error.kind === 'rate-limit';
+}
+
+// Read a Retry-After header (seconds or an HTTP date) as milliseconds, null when missing
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Create a client, every option falls back to the constants above
+function createArenaClient({
+    baseUrl = ARENA_API_BASE,
+    timeout = ARENA_REQUEST_TIMEOUT,
+    maxAttempts = ARENA_MAX_ATTEMPTS,
+    retryDelay = ARENA_RETRY_DELAY,
+    maxRetryDelay = ARENA_MAX_RETRY_DELAY,
+    maxRetryAfter = ARENA_MAX_RETRY_AFTER,
+    cache = null
+} = {}) {
+    function buildUrl(path, params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) {
+                query.set(name, value);
+            }
+        });
+
+        const search = query.toString();
+        return `${baseUrl}${path}${search ? `?${search}` : ''}`;
+    }
+
+    // One try, the timeout covers reading the body as well
+    async function request(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, { signal: controller.signal });
+            } catch (error) {
+                throw controller.signal.aborted
+                    ? new ArenaApiError(`Are.na did not answer within ${timeout}ms: ${url}`, { kind: 'timeout', cause: error })
+                    : new ArenaApiError(`Could not reach Are.na: ${url}`, { kind: 'network', cause: error });
+            }
+
+            if (response.status === 429) {
+                throw new ArenaApiError(`Are.na rate limited the request: ${url}`, {
+                    kind: 'rate-limit',
+                    status: 429,
+                    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+                });
+            }
+            if (!response.ok) {
+                throw new ArenaApiError(`Are.na request failed (${response.status}): ${url}`, { kind: 'http', status: response.status });
+            }
+
+            try {
+                return await response.json();
+            } catch (error) {
+                throw controller.signal.aborted
+                    ? new ArenaApiError(`Are.na did not answer within ${timeout}ms: ${url}`, { kind: 'timeout', cause: error })
+                    : new ArenaApiError(`Are.na sent an invalid response: ${url}`, { kind: 'invalid', status: response.status, cause: error });
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // How long to wait before the next try, null to give up
+    function getRetryDelay(error, attempt) {
+        if (error.retryAfter !== null) {
+            return error.retryAfter <= maxRetryAfter ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with jitter, so many pages do not retry in lockstep
+        const backoff = Math.min(retryDelay * Math.pow(2, attempt - 1), maxRetryDelay);
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+
+    return {
+        // GET a path of the API (e.g. '/blocks/123') with optional query parameters, resolves to the JSON body
+        // options: { ttl } - how old a cached response may be in milliseconds, 0 always asks Are.na
+        async get(path, params = {}, { ttl = 0 } = {}) {
+            const url = buildUrl(path, params);
+
+            if (cache && ttl > 0) {
+                const cached = await cache.get(url, ttl);
+                if (cached) {
+                    return cached;
+                }
+            }
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const data = await request(url);
+                    if (cache && ttl > 0) {
+                        await cache.set(url, data);
+                    }
+                    return data;
+                } catch (error) {
+                    const delay = attempt < maxAttempts && isRetryableArenaError(error) ? getRetryDelay(error, attempt) : null;
+                    if (delay === null) {
+                        throw error;
+                    }
+
+                    console.warn(`${error.message} - retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${maxAttempts})`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+    };
+}
+
+// The client every Are.na source shares
+const arenaClient = createArenaClient({ cache: createResponseCache() });
@@ -0,0 +1,156 @@
+// Card detail overlay
+//
+// Clicking a revealed card opens its block in an in-page overlay (large image,
+// title, description, author, source and connected channels) instead of
+// sending the reader straight to Are.na.
+
+let cardDetailReturnFocus = null;  // Element to focus again when the overlay closes
+let cardDetailCount = 0;           // Counts opened cards, so channels of an earlier card are not shown
+
+// Fill a link element, hiding its row when there is nothing to link to
+function setDetailLink(rowId, linkId, text, url) {
+    const row = document.getElementById(rowId);
+    const link = document.getElementById(linkId);
+    if (!row || !link) {
+        return;
+    }
+
+    row.hidden = !text;
+    link.textContent = text || '';
+    if (url) {
+        link.href = url;
+    } else {
+        link.removeAttribute('href');
+    }
+}
+
+// Render the connected channels, or a note when there are none
+function renderDetailChannels(channels) {
+    const list = document.getElementById('card-detail-channels');
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = '';
+
+    if (channels.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'card-detail-muted';
+        empty.textContent = 'Not connected to any channels';
+        list.appendChild(empty);
+        return;
+    }
+
+    channels.forEach(channel => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = channel.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = channel.title;
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+}
+
+// Open the overlay for a described card (see describeCard in sources.js)
+// channelsPromise resolves to the card's channels, which may take a request to find
+function openCardDetail(card, label, channelsPromise) {
+    const overlay = document.getElementById('card-detail');
+    if (!overlay) {
+        return;
+    }
+
+    // Text blocks have no image, their content takes its place
+    const image = document.getElementById('card-detail-image');
+    const imageUrl = card.largeImageUrl || card.imageUrl;
+    image.hidden = !imageUrl;
+    if (imageUrl) {
+        image.src = imageUrl;
+        image.alt = card.title || label;
+    }
+
+    document.getElementById('card-detail-label').textContent = label || '';
+    document.getElementById('card-detail-title').textContent = card.title || 'Untitled';
+
+    const description = document.getElementById('card-detail-description');
+    const text = [card.content, card.description].filter(Boolean).join('\n\n');
+    description.textContent = text;
+    description.hidden = !text;
+
+    setDetailLink('card-detail-author-row', 'card-detail-author', card.author, card.authorUrl);
+
+    setDetailLink('card-detail-source-row', 'card-detail-source', card.domain, card.sourceUrl);
+
+    const arenaLink = document.getElementById('card-detail-arena');
+    arenaLink.hidden = !card.url;
+    if (card.url) {
+        arenaLink.href = card.url;
+    }
+
+    // Channels arrive later, the overlay is usable straight away
+    const channelList = document.getElementById('card-detail-channels');
+    channelList.innerHTML = '<li class="card-detail-muted">Loading channels…</li>';
+    const opened = ++cardDetailCount;
+    const isShowing = () => opened === cardDetailCount && !overlay.hidden;
+    Promise.resolve(channelsPromise)
+        .then(channels => {
+            if (isShowing()) {
+                renderDetailChannels(channels || []);
+            }
+        })
+        .catch(error => {
+            console.error('Error loading card channels:', error);
+            if (isShowing()) {
+                channelList.innerHTML = '<li class="card-detail-muted">Channels could not be loaded</li>';
+            }
+        });
+
+    cardDetailReturnFocus = document.activeElement;
+    overlay.hidden = false;
+    document.getElementById('card-detail-close').focus();
+}
+
+// Close the overlay and return focus where it was
+function closeCardDetail() {
+    const overlay = document.getElementById('card-detail');
+    if (!overlay || overlay.hidden) {
+        return;
+    }
+
+    overlay.hidden = true;
+    document.getElementById('card-detail-image').removeAttribute('src');
+
+    if (cardDetailReturnFocus && cardDetailReturnFocus.focus) {
+        cardDetailReturnFocus.focus();
+    }
+    cardDetailReturnFocus = null;
+}
+
+// Check whether the overlay is showing
+function isCardDetailOpen() {
+    const overlay = document.getElementById('card-detail');
+    return Boolean(overlay && !overlay.hidden);
+}
+
+// Close on the close button, a click on the backdrop, or Escape
+function setupCardDetail() {
+    const overlay = document.getElementById('card-detail');
+    if (!overlay) {
+        return;
+    }
+
+    document.getElementById('card-detail-close').addEventListener('click', closeCardDetail);
+
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay) {
+            closeCardDetail();
+        }
+    });
+
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            closeCardDetail();
+        }
+    });
+}
@@ -0,0 +1,251 @@
+// Card faces
+//
+// Image blocks are drawn straight from their image. Every other kind of block
+// gets a generated canvas face so the whole breadth of a channel is drawable:
+//
+//   text       - the typeset text content
+//   link       - title, domain and a thumbnail of the page
+//   media      - thumbnail with a play badge and the provider (YouTube, Vimeo ...)
+//   attachment - file extension, file name and a preview when Are.na has one
+
+// Canvas size of a generated face, same aspect ratio as the card (2 x 3.5)
+const CARD_FACE_WIDTH = 512;
+const CARD_FACE_HEIGHT = 896;
+const CARD_FACE_PADDING = 44;
+
+// Load an image for drawing into a canvas (resolves to null when CORS or the network fails)
+function loadFaceImage(url) {
+    if (!url) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+// Wait for the page fonts so canvas text is not drawn in a fallback font
+async function waitForFaceFonts() {
+    if (!document.fonts) {
+        return;
+    }
+
+    try {
+        await Promise.all([
+            document.fonts.load('32px "DM Sans"'),
+            document.fonts.load('bold 48px "Cormorant Unicase"')
+        ]);
+    } catch (error) {
+        // Fallback fonts are fine
+    }
+}
+
+// Break text into lines that fit maxWidth, ending with an ellipsis past maxLines
+function wrapFaceText(context, text, maxWidth, maxLines) {
+    const lines = [];
+
+    text.split(/\n+/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width > maxWidth && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) {
+            lines.push(line);
+        }
+    });
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        let last = kept[maxLines - 1];
+        while (last && context.measureText(`${last}…`).width > maxWidth) {
+            last = last.slice(0, -1);
+        }
+        kept[maxLines - 1] = `${last.trimEnd()}…`;
+        return kept;
+    }
+
+    return lines;
+}
+
+// Draw lines of text from a top y coordinate, returns the y below the last line
+function drawFaceLines(context, lines, x, y, lineHeight) {
+    lines.forEach((line, i) => {
+        context.fillText(line, x, y + i * lineHeight);
+    });
+    return y + lines.length * lineHeight;
+}
+
+// Draw an image covering a rectangle (cropped, not stretched)
+function drawFaceImageCover(context, image, x, y, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+
+    context.drawImage(
+        image,
+        (image.width - sourceWidth) / 2,
+        (image.height - sourceHeight) / 2,
+        sourceWidth,
+        sourceHeight,
+        x, y, width, height
+    );
+}
+
+// Create an empty face canvas with a background colour and a thin border
+function createFaceCanvas(background, border) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_FACE_WIDTH;
+    canvas.height = CARD_FACE_HEIGHT;
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.strokeStyle = border;
+    context.lineWidth = 3;
+    context.strokeRect(18, 18, canvas.width - 36, canvas.height - 36);
+
+    context.textBaseline = 'top';
+    return { canvas, context };
+}
+
+// Text block: the content typeset on paper
+function drawTextFace(card) {
+    const { canvas, context } = createFaceCanvas('#f4efe6', '#c9bfae');
+    const width = CARD_FACE_WIDTH - CARD_FACE_PADDING * 2;
+    let y = CARD_FACE_PADDING + 10;
+
+    if (card.title) {
+        context.fillStyle = '#7a6f5f';
+        context.font = 'bold 30px "Cormorant Unicase", serif';
+        y = drawFaceLines(context, wrapFaceText(context, card.title, width, 2), CARD_FACE_PADDING, y, 36) + 20;
+    }
+
+    // Shorter texts are set larger
+    const fontSize = card.content.length < 160 ? 40 : card.content.length < 500 ? 30 : 24;
+    const lineHeight = Math.round(fontSize * 1.4);
+    const maxLines = Math.floor((CARD_FACE_HEIGHT - CARD_FACE_PADDING - y) / lineHeight);
+
+    context.fillStyle = '#1b1a1a';
+    context.font = `${fontSize}px "DM Sans", sans-serif`;
+    drawFaceLines(context, wrapFaceText(context, card.content, width, maxLines), CARD_FACE_PADDING, y, lineHeight);
+
+    return canvas;
+}
+
+// Link block: thumbnail of the page, title and domain
+function drawLinkFace(card, thumbnail) {
+    const { canvas, context } = createFaceCanvas('#1b1a1a', '#3a3a3a');
+    const width = CARD_FACE_WIDTH - CARD_FACE_PADDING * 2;
+    let y = CARD_FACE_PADDING;
+
+    if (thumbnail) {
+        drawFaceImageCover(context, thumbnail, CARD_FACE_PADDING, y, width, 440);
+        y += 440 + 36;
+    } else {
+        y += 200;
+    }
+
+    context.fillStyle = '#ecf0f1';
+    context.font = 'bold 40px "Cormorant Unicase", serif';
+    y = drawFaceLines(context, wrapFaceText(context, card.title || card.domain, width, 4), CARD_FACE_PADDING, y, 48) + 16;
+
+    context.fillStyle = '#9a9a9a';
+    context.font = '26px "DM Sans", sans-serif';
+    context.fillText(`↗ ${card.domain}`, CARD_FACE_PADDING, y);
+
+    return canvas;
+}
+
+// Media block: thumbnail with a play badge and the provider name
+function drawMediaFace(card, thumbnail) {
+    const canvas = drawLinkFace({ ...card, domain: card.provider || card.domain }, thumbnail);
+    const context = canvas.getContext('2d');
+
+    // Play badge over the middle of the thumbnail area
+    const centerX = CARD_FACE_WIDTH / 2;
+    const centerY = CARD_FACE_PADDING + (thumbnail ? 220 : 120);
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.beginPath();
+    context.arc(centerX, centerY, 56, 0, Math.PI * 2);
+    context.fill();
+
+    context.fillStyle = '#ffffff';
+    context.beginPath();
+    context.moveTo(centerX - 18, centerY - 28);
+    context.lineTo(centerX + 30, centerY);
+    context.lineTo(centerX - 18, centerY + 28);
+    context.closePath();
+    context.fill();
+
+    return canvas;
+}
+
+// Attachment block: preview (if any), a large extension badge and the file name
+function drawAttachmentFace(card, thumbnail) {
+    const { canvas, context } = createFaceCanvas('#222222', '#3a3a3a');
+    const width = CARD_FACE_WIDTH - CARD_FACE_PADDING * 2;
+    let y = CARD_FACE_PADDING;
+
+    if (thumbnail) {
+        drawFaceImageCover(context, thumbnail, CARD_FACE_PADDING, y, width, 440);
+        y += 440 + 36;
+    } else {
+        y += 140;
+    }
+
+    context.fillStyle = '#b388ff';
+    context.font = 'bold 96px "Cormorant Unicase", serif';
+    context.fillText((card.extension || 'file').toUpperCase(), CARD_FACE_PADDING, y);
+    y += 120;
+
+    context.fillStyle = '#ecf0f1';
+    context.font = '30px "DM Sans", sans-serif';
+    drawFaceLines(context, wrapFaceText(context, card.title || card.fileName, width, 4), CARD_FACE_PADDING, y, 40);
+
+    return canvas;
+}
+
+// Check whether a card is drawn straight from its image
+function isImageFace(card) {
+    return card.kind === 'image' || (!card.kind && card.imageUrl);
+}
+
+// Draw the generated face of a card that is not an image (see describeCard in sources.js)
+async function createCardFaceCanvas(card) {
+    const [thumbnail] = await Promise.all([
+        card.kind === 'text' ? null : loadFaceImage(card.largeImageUrl || card.imageUrl),
+        waitForFaceFonts()
+    ]);
+
+    switch (card.kind) {
+        case 'link':
+            return drawLinkFace(card, thumbnail);
+        case 'media':
+            return drawMediaFace(card, thumbnail);
+        case 'attachment':
+            return drawAttachmentFace(card, thumbnail);
+        default:
+            return drawTextFace(card);
+    }
+}
+
+// Create the front texture of a card (see describeCard in sources.js)
+async function createCardFaceTexture(card) {
+    if (isImageFace(card)) {
+        return loadCardTexture(card.imageUrl);
+    }
+
+    return new THREE.CanvasTexture(await createCardFaceCanvas(card));
+}
@@ -0,0 +1,54 @@
+// Card preloader
+//
+// Loads card faces before they are needed: while the cosmic shuffle plays the
+// faces of the cards the reading will draw are fetched and decoded, so turning
+// a card over does not wait on the network. Renderers ask the preloader for a
+// face instead of loading it themselves; a face that was not preloaded is
+// simply loaded then.
+//
+//   const preloader = createCardPreloader(createCardFaceTexture, texture => texture.dispose());
+//   preloader.preload(cards);                  // card descriptions, see describeCard in sources.js
+//   const texture = await preloader.take(card); // the preloaded face, or a fresh load
+
+// Create a preloader around a function that loads the face of a card
+// dispose (optional) frees faces that were preloaded but never taken
+function createCardPreloader(loadFace, dispose = () => {}) {
+    const faces = new Map();  // Card id -> promise of its face
+
+    return {
+        // Start loading the faces of these cards, failures are left for take() to retry
+        preload(cards) {
+            cards.forEach(card => {
+                if (faces.has(card.id)) {
+                    return;
+                }
+
+                const face = loadFace(card);
+                face.catch(error => {
+                    console.warn(`Could not preload card ${card.id}:`, error);
+                    if (faces.get(card.id) === face) {
+                        faces.delete(card.id);
+                    }
+                });
+                faces.set(card.id, face);
+            });
+        },
+
+        // Get a card's face, each preloaded face is handed out once
+        take(card) {
+            const face = faces.get(card.id);
+            if (!face) {
+                return loadFace(card);
+            }
+
+            faces.delete(card.id);
+            return face;
+        },
+
+        // Drop every face that was not taken
+        clear() {
+            faces.forEach(face => face.then(dispose, () => {}));
+            faces.clear();
+        }
+    };
+}
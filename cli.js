@@ -0,0 +1,212 @@
+// Command line readings
+//
+// Runs a whole reading in Node with the same scripts the page uses (loaded as
+// plain scripts, like the browser does) and prints the result:
+//
+//   node cli.js [--spread celtic-cross] [--channel my-deck] [--deck decks/example/deck.json]
+//               [--query Bauhaus] [--theme art_movements] [--seed abc123] [--reversals 0.3]
+//               [--interpretation plain] [--json]
+//
+// Without --channel or --deck cards come from Are.na search, using a query
+// from data.json (or --query), --theme limits the draw to one data.json
+// category. --reversals sets how likely a card is reversed (0 to 1, on or
+// off, like ?reversals= in the page), --interpretation picks the template of
+// the written reading.
+// --json prints the reading result instead of text.
+//
+// The tests in test/ load the same scripts through this file: node --test test/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+// The page's scripts, in the order index.html loads them
+const ENGINE_SCRIPTS = ['random.js', 'response-cache.js', 'arena-api.js', 'queries.js', 'sources.js', 'spreads.js', 'permalink.js', 'reading-engine.js', 'interpretation.js'];
+
+// Parse --name value pairs, flags without a value become true
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        const next = argv[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+// Local decks are read with fetch like in the browser, so serve file: URLs from disk
+function installFileFetch() {
+    const webFetch = globalThis.fetch;
+
+    globalThis.fetch = async (url, options) => {
+        if (!String(url).startsWith('file:')) {
+            return webFetch(url, options);
+        }
+
+        try {
+            return new Response(await fs.promises.readFile(new URL(url)));
+        } catch (error) {
+            return new Response(null, { status: 404 });
+        }
+    };
+}
+
+// Load the browser scripts into this context so their functions become globals
+function loadScripts() {
+    globalThis.window = { location: { href: pathToFileURL(`${process.cwd()}/`).href } };
+
+    ENGINE_SCRIPTS.forEach(file => {
+        const fullPath = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(fullPath, 'utf8'), { filename: fullPath });
+    });
+}
+
+// Read the query categories from data.json, a malformed file stops the reading with its problems
+function loadQueries() {
+    try {
+        return parseQueryData(JSON.parse(fs.readFileSync(path.join(__dirname, 'data.json'), 'utf8')));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+// Write the reading out in words, with the channels of every card where the source has them
+async function interpret(engine, result, templateId) {
+    const channels = await Promise.all(result.cards.map(({ block }) => engine.source.getCardChannels(block)
+        .then(list => list.map(channel => channel.title))
+        .catch(() => [])));
+
+    return interpretReading(result, {
+        template: getInterpretationTemplate(typeof templateId === 'string' ? templateId : undefined),
+        category: result.query ? (findQueryCategory(loadQueries(), result.query) || {}).name || null : null,
+        channels
+    });
+}
+
+// Build the content source the same way the page does from its URL parameters
+function createSource(args, spread, random, setQuery) {
+    const options = { random };
+
+    if (args.deck) {
+        return createLocalDeckSource(pathToFileURL(path.resolve(args.deck)).href, options);
+    }
+
+    const taxonomy = args.query ? null : loadQueries();
+    const theme = typeof args.theme === 'string' ? args.theme : '';
+    const searchSource = createArenaSearchSource({
+        getQuery: () => {
+            const picked = taxonomy ? pickQuery(taxonomy, { theme, spread: spread.id, random }) : null;
+            return setQuery(taxonomy ? (picked ? picked.query : 'art') : args.query);
+        },
+        ...options
+    });
+
+    if (args.channel) {
+        const slugs = args.channel.split(',').map(slug => slug.trim()).filter(Boolean);
+        return createFallbackSource([createArenaChannelSource(slugs, options), searchSource]);
+    }
+
+    return searchSource;
+}
+
+// Reveal cards until every position of the spread is filled
+async function revealAll(engine) {
+    const slotCount = engine.getSlots().length;
+
+    for (let slot = 0; slot < slotCount && !engine.isComplete(); slot++) {
+        // Reveal-order spreads only fill as many slots as they have positions
+        if (engine.spread.assignment !== 'slot' || engine.getUpcomingPosition(slot)) {
+            await engine.reveal(slot);
+        }
+    }
+}
+
+// Link that opens a reading in the page, with the deck, channels and theme it was drawn from
+function getPageUrl(args, seed, result) {
+    const params = new URLSearchParams({ seed });
+
+    if (args.deck) {
+        // The page resolves decks against index.html, next to this script
+        params.set('deck', path.relative(__dirname, path.resolve(args.deck)).split(path.sep).join('/'));
+    } else {
+        if (typeof args.channel === 'string') {
+            params.set('channel', args.channel);
+        }
+        if (typeof args.theme === 'string' && !args.query) {
+            params.set('theme', args.theme);
+        }
+    }
+
+    params.set('reading', encodeReading(result));
+    return `index.html?${params}`;
+}
+
+// Print a reading for people
+function printReading(result, pageUrl, seed, interpretation) {
+    console.log(`${result.spreadName} (${result.spread})${result.query ? ` · “${result.query}”` : ''} · seed ${seed}`);
+    console.log('');
+
+    result.cards.forEach(({ label, card }) => {
+        console.log(`${label}: ${card.title || 'Untitled'}`);
+        if (card.url) {
+            console.log(`    ${card.url}`);
+        }
+    });
+
+    console.log('');
+    console.log(interpretation.text);
+
+    console.log('');
+    console.log(`Open in the page: ${pageUrl}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    installFileFetch();
+    loadScripts();
+
+    const seed = typeof args.seed === 'string' ? args.seed : createSeed();
+    const random = createSeededRandom(seed);
+    const spread = getSpread(typeof args.spread === 'string' ? args.spread : 'three-card');
+    let query = null;
+
+    const engine = createReadingEngine({
+        source: createSource(args, spread, random, nextQuery => (query = nextQuery)),
+        spread,
+        getQuery: () => query,
+        random,
+        reversalChance: parseReversalChance(args.reversals)
+    });
+
+    await engine.deal();
+    await revealAll(engine);
+
+    const result = engine.getResult();
+    const interpretation = await interpret(engine, result, args.interpretation);
+
+    if (args.json) {
+        // The raw blocks are left out, the card descriptions carry everything shown on the page
+        const cards = result.cards.map(({ block, ...card }) => card);
+        console.log(JSON.stringify({ ...result, seed, cards, interpretation }, null, 2));
+    } else {
+        printReading(result, getPageUrl(args, seed, result), seed, interpretation);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+// For the tests in test/
+module.exports = { installFileFetch, loadScripts, createSource, revealAll, getPageUrl };
@@ -0,0 +1,301 @@
+// DOM card renderer
+//
+// Draws the reading with plain elements and CSS 3D transforms when WebGL is not
+// available (or three.js did not load), and for readers who prefer reduced
+// motion. It plays the same flow as the Three.js scene: a shuffle, the deal,
+// flips and labels. Each card is a .selection-slot holding a .card with a
+// .card-back and a .card-front.
+//
+// Both renderers provide the same calls (see createSceneRenderer in script.js):
+//
+//   load()                     - prepare shared assets, resolves when cards can be dealt
+//   applyStyle(pack, cardBack) - dress the table in a style pack (see style-packs.js)
+//   fitSpread(spread)          - frame a different spread than the last one, before it is dealt
+//   deal(spread, withShuffle, deckCards) - lay the spread's cards face down, resolves when they lie still;
+//                                deckCards (optional) is a promise of deck cards the shuffle may show.
+//                                The scene's interactive shuffle resolves to the ids of the cards the
+//                                reader pulled; these DOM cards never let the reader pull, so the
+//                                hand is drawn at random
+//   prepareCard(index, card, reversed) - load a card's face before it is turned over
+//   flipCard(index, label)     - turn a prepared card face up and show its label
+//   showCard(index, card, label, reversed) - lay a card face up without animation (restored readings)
+//   preloadCards(cards)        - start loading the faces of cards about to be drawn (see card-preloader.js)
+//   clear()                    - take every card off the table
+//   highlightCard(index)       - highlight one card, -1 for none
+
+const DOM_SHUFFLE_CARDS = 12;       // Cards in the shuffling stack
+const DOM_SHUFFLE_DURATION = 1500;  // Milliseconds of shuffling before the deal
+const DOM_DEAL_DURATION = 600;
+const DOM_DEAL_STAGGER = 80;        // Delay between cards landing in their slots
+const DOM_FLIP_DURATION = 800;
+const DOM_CLEAR_DURATION = 500;
+const DOM_LABEL_SPACE = 0.8;        // Room for a label under a card, in card units (a card is 2 x 3.5)
+
+// Build the face element of a card: its image, or a generated face (see card-faces.js)
+async function createDomCardFace(card) {
+    if (!isImageFace(card)) {
+        return createCardFaceCanvas(card);
+    }
+
+    const image = new Image();
+    image.src = card.imageUrl;
+    image.alt = '';
+    await image.decode();
+    return image;
+}
+
+// Create a renderer that lays the cards out in a container element
+// options: { container, timeline, reducedMotion, onActivateCard(index) }
+function createDomRenderer({ container, timeline, reducedMotion = false, onActivateCard }) {
+    let spread = null;
+    let slots = [];       // One .selection-slot element per card
+    let faces = [];       // Prepared face elements, by card index
+    let reversals = [];   // Whether each prepared card lies upside down
+    const preloader = createCardPreloader(createDomCardFace);
+
+    // Milliseconds an animation takes, none when the reader prefers reduced motion
+    const duration = ms => (reducedMotion ? 0 : ms);
+
+    // CSS transitions follow the timeline's speed (see ?speed= in script.js)
+    const cssDuration = ms => `${duration(ms) / timeline.getTimeScale()}ms`;
+
+    const wait = ms => (duration(ms) > 0 ? timeline.wait(duration(ms)) : Promise.resolve(true));
+
+    // Work out where every slot goes: spread slots are in card units with y up,
+    // scaled so the whole spread (with labels) fits the container
+    function getPlacements() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const spreadSlots = getSpreadSlots(spread, width < height);
+
+        const extents = spreadSlots.map(slot => {
+            const rotation = slot.rotation || 0;
+            const cos = Math.abs(Math.cos(rotation));
+            const sin = Math.abs(Math.sin(rotation));
+            return {
+                halfWidth: cos * 1 + sin * 1.75,
+                halfHeight: cos * 1.75 + sin * 1
+            };
+        });
+
+        const minX = Math.min(...spreadSlots.map((slot, i) => slot.x - extents[i].halfWidth));
+        const maxX = Math.max(...spreadSlots.map((slot, i) => slot.x + extents[i].halfWidth));
+        const minY = Math.min(...spreadSlots.map((slot, i) => slot.y - extents[i].halfHeight - DOM_LABEL_SPACE));
+        const maxY = Math.max(...spreadSlots.map((slot, i) => slot.y + extents[i].halfHeight));
+
+        // Leave room for the header and the buttons, like the scene's camera does
+        const unit = Math.min(width * 0.9 / (maxX - minX), height * 0.7 / (maxY - minY));
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+
+        return spreadSlots.map(slot => ({
+            width: 2 * unit,
+            height: 3.5 * unit,
+            left: width / 2 + (slot.x - centerX) * unit - unit,
+            top: height / 2 - (slot.y - centerY) * unit - 1.75 * unit,
+            // Positive slot rotations turn counter-clockwise, like in the scene
+            rotation: -(slot.rotation || 0),
+            z: slot.z || 0
+        }));
+    }
+
+    function placeSlot(element, placement) {
+        element.style.width = `${placement.width}px`;
+        element.style.height = `${placement.height}px`;
+        element.style.left = `${placement.left}px`;
+        element.style.top = `${placement.top}px`;
+        element.style.transform = `rotate(${placement.rotation}rad)`;
+        element.style.zIndex = placement.z > 0 ? '2' : '1';
+    }
+
+    function createSlot(index) {
+        const slot = document.createElement('div');
+        slot.className = 'selection-slot';
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.innerHTML = '<div class="card-inner"><div class="card-back"></div><div class="card-front"><div class="card-content"></div></div></div>';
+
+        const label = document.createElement('span');
+        label.className = 'dom-card-label';
+
+        slot.appendChild(card);
+        slot.appendChild(label);
+        slot.addEventListener('click', () => onActivateCard(index));
+        return slot;
+    }
+
+    // Riffle a stack of card backs in the middle of the table
+    async function shuffle() {
+        const stack = document.createElement('div');
+        stack.className = 'dom-shuffle';
+
+        for (let i = 0; i < DOM_SHUFFLE_CARDS; i++) {
+            const card = document.createElement('div');
+            card.className = 'card-back';
+            card.style.animationDelay = `${(i % 4) * 120}ms`;
+            card.style.animationDirection = i % 2 === 0 ? 'normal' : 'reverse';
+            stack.appendChild(card);
+        }
+
+        container.appendChild(stack);
+        await wait(DOM_SHUFFLE_DURATION);
+        stack.remove();
+    }
+
+    // Keep the slots in place when the container changes size
+    function layout() {
+        if (!spread) {
+            return;
+        }
+
+        getPlacements().forEach((placement, i) => {
+            if (slots[i]) {
+                slots[i].style.transitionDuration = '0ms';
+                placeSlot(slots[i], placement);
+            }
+        });
+    }
+
+    return {
+        name: 'dom',
+
+        // The card back, colours and labels of these cards follow the page's CSS variables (see applyStyleVariables)
+        applyStyle() {},
+
+        // Slots are placed for the spread they are dealt in
+        fitSpread() {},
+
+        load() {
+            container.hidden = false;
+            window.addEventListener('resize', layout);
+
+            // Nothing else drives the timeline without the scene's render loop
+            const tick = now => {
+                requestAnimationFrame(tick);
+                timeline.update(now);
+            };
+            requestAnimationFrame(tick);
+
+            return Promise.resolve();
+        },
+
+        async deal(nextSpread, withShuffle) {
+            spread = nextSpread;
+            faces = [];
+            reversals = [];
+            container.innerHTML = '';
+
+            if (withShuffle && !reducedMotion) {
+                await shuffle();
+            }
+
+            const placements = getPlacements();
+            slots = placements.map((placement, i) => {
+                const slot = createSlot(i);
+                placeSlot(slot, placement);
+                container.appendChild(slot);
+                return slot;
+            });
+
+            if (!withShuffle || reducedMotion) {
+                return;
+            }
+
+            // Cards fly from the middle of the table into their slots
+            slots.forEach((slot, i) => {
+                const placement = placements[i];
+                const offsetX = container.clientWidth / 2 - placement.left - placement.width / 2;
+                const offsetY = container.clientHeight / 2 - placement.top - placement.height / 2;
+
+                slot.style.transitionDuration = '0ms';
+                slot.style.opacity = '0';
+                slot.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(0.6)`;
+            });
+
+            // Let the start positions render before moving to the slots
+            container.getBoundingClientRect();
+
+            slots.forEach((slot, i) => {
+                slot.style.transitionDuration = cssDuration(DOM_DEAL_DURATION);
+                slot.style.transitionDelay = cssDuration(i * DOM_DEAL_STAGGER);
+                slot.style.opacity = '';
+                placeSlot(slot, placements[i]);
+            });
+
+            await wait(DOM_DEAL_DURATION + slots.length * DOM_DEAL_STAGGER);
+            slots.forEach(slot => {
+                slot.style.transitionDelay = '';
+            });
+        },
+
+        async prepareCard(index, card, reversed) {
+            faces[index] = await preloader.take(card);
+            reversals[index] = reversed;
+        },
+
+        async flipCard(index, label) {
+            const slot = slots[index];
+            const content = slot.querySelector('.card-content');
+            content.innerHTML = '';
+            content.appendChild(faces[index]);
+            content.classList.toggle('reversed', Boolean(reversals[index]));
+
+            const card = slot.querySelector('.card');
+            card.style.transitionDuration = cssDuration(DOM_FLIP_DURATION);
+            card.classList.add('flipped');
+            await wait(DOM_FLIP_DURATION);
+
+            slot.querySelector('.dom-card-label').textContent = label || '';
+            slot.classList.add('filled');
+        },
+
+        async showCard(index, card, label, reversed) {
+            faces[index] = await preloader.take(card);
+
+            const slot = slots[index];
+            slot.querySelector('.card-content').appendChild(faces[index]);
+            slot.querySelector('.card-content').classList.toggle('reversed', Boolean(reversed));
+            slot.querySelector('.card').style.transitionDuration = '0ms';
+            slot.querySelector('.card').classList.add('flipped');
+            slot.querySelector('.dom-card-label').textContent = label || '';
+            slot.classList.add('filled');
+        },
+
+        preloadCards(cards) {
+            preloader.preload(cards);
+        },
+
+        async clear() {
+            preloader.clear();
+
+            // Turn the revealed cards back down first
+            const flipped = container.querySelectorAll('.card.flipped');
+            flipped.forEach(card => {
+                card.style.transitionDuration = cssDuration(DOM_FLIP_DURATION);
+                card.classList.remove('flipped');
+            });
+            slots.forEach(slot => slot.classList.remove('filled', 'highlighted'));
+            if (flipped.length > 0) {
+                await wait(DOM_FLIP_DURATION);
+            }
+
+            slots.forEach(slot => {
+                slot.style.transitionDuration = cssDuration(DOM_CLEAR_DURATION);
+                slot.style.opacity = '0';
+            });
+            await wait(DOM_CLEAR_DURATION);
+
+            container.innerHTML = '';
+            slots = [];
+            faces = [];
+            reversals = [];
+        },
+
+        highlightCard(index) {
+            slots.forEach((slot, i) => {
+                slot.classList.toggle('highlighted', i === index);
+            });
+        }
+    };
+}
@@ -0,0 +1,242 @@
+// Interpretations
+//
+// Composes a short written reading from the revealed cards. Every card is read
+// through its spread position (the position's meaning, see spreads.js) using
+// what we know about its block: title, description, the Are.na channels it is
+// connected to, and the category of the search query the deck came from (the
+// data.json category the query is listed in, see queries.js).
+//
+// The wording comes from a template:
+//
+//   id              - used in the ?interpretation= URL parameter
+//   name            - human readable name
+//   intro(context)  - opening paragraph, context = { spreadName, query, category, cards }
+//   card(card, context) - one paragraph per card, card = { position, meaning, label,
+//                     reversed, title, excerpt, channels, kind, author, domain }
+//   outro(context)  - closing paragraph
+//
+// Every part returns a string ('' to leave it out). More templates can be added
+// with registerInterpretationTemplate().
+
+const INTERPRETATION_EXCERPT_LENGTH = 160;  // Longest description quoted from a block, in characters
+const INTERPRETATION_CHANNELS = 2;          // Channels named per card
+
+// Join names as "a", "a and b", "a, b and c"
+function formatList(items) {
+    if (items.length <= 1) {
+        return items.join('');
+    }
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// Turn a category id or name into words, e.g. art_movements -> art movements
+function formatCategory(category) {
+    return category ? category.replace(/[_-]+/g, ' ').trim() : '';
+}
+
+// Capitalize the first letter of a sentence
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+// The first sentence of a description, shortened to fit into a paragraph
+function getExcerpt(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) {
+        return '';
+    }
+
+    const sentence = clean.match(/^.+?[.!?](\s|$)/);
+    const excerpt = sentence ? sentence[0].trim() : clean;
+    if (excerpt.length <= INTERPRETATION_EXCERPT_LENGTH) {
+        return excerpt;
+    }
+    return `${excerpt.slice(0, INTERPRETATION_EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+// Pick one of several phrasings by a stable key, so the same card always reads the same
+function pickPhrase(phrases, key) {
+    let hash = 0;
+    String(key).split('').forEach(char => {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    });
+    return phrases[hash % phrases.length];
+}
+
+// How a card is named when its block has no title
+function describeUntitled(card) {
+    const kinds = { image: 'an untitled image', text: 'an untitled note', link: 'a link', media: 'a piece of media', attachment: 'a file' };
+    const name = kinds[card.kind] || 'an untitled block';
+    return card.domain ? `${name} from ${card.domain}` : name;
+}
+
+// Built-in templates
+const INTERPRETATION_TEMPLATES = {
+    'classic': {
+        id: 'classic',
+        name: 'Classic',
+
+        intro(context) {
+            const source = context.query
+                ? ` drawn from “${context.query}”${context.category ? `, among ${context.category.toLowerCase()}` : ''}`
+                : '';
+            return `A ${context.spreadName} reading${source}.`;
+        },
+
+        card(card) {
+            const name = card.title ? `“${card.title}”` : describeUntitled(card);
+            const opening = pickPhrase([
+                `${capitalize(card.meaning)}: ${name}.`,
+                `In the place of ${card.position}, ${card.meaning}, lies ${name}.`,
+                `${name} speaks to ${card.meaning}.`
+            ], card.title || card.position);
+            const sentences = [capitalize(opening)];
+
+            if (card.reversed) {
+                sentences.push('It lies reversed, so its influence is held back, turned inward or still to be faced.');
+            }
+            if (card.excerpt) {
+                sentences.push(`It says: “${card.excerpt}”`);
+            }
+            if (card.channels.length > 0) {
+                sentences.push(`On Are.na it keeps company with ${formatList(card.channels.map(channel => `“${channel}”`))}.`);
+            } else if (card.author) {
+                sentences.push(`It was gathered by ${card.author}.`);
+            }
+
+            return sentences.join(' ');
+        },
+
+        outro(context) {
+            const cards = context.cards;
+            if (cards.length < 2) {
+                return 'Sit with it for a moment before you draw again.';
+            }
+
+            const reversed = cards.filter(card => card.reversed).length;
+            if (reversed > cards.length / 2) {
+                return 'Most cards lie reversed: before pushing forward, look at what is being held back.';
+            }
+            return `Read together, the cards lead from ${cards[0].meaning} to ${cards[cards.length - 1].meaning}.`;
+        }
+    },
+
+    'plain': {
+        id: 'plain',
+        name: 'Plain',
+
+        intro(context) {
+            return context.query ? `${context.spreadName} · “${context.query}”` : context.spreadName;
+        },
+
+        card(card) {
+            const name = card.title || capitalize(describeUntitled(card));
+            return `${card.label}: ${name}${card.excerpt ? ` – ${card.excerpt}` : ''}`;
+        },
+
+        outro: () => ''
+    }
+};
+
+const DEFAULT_INTERPRETATION_TEMPLATE_ID = 'classic';
+
+// Add a template, or replace a built-in one with the same id
+function registerInterpretationTemplate(template) {
+    if (!template || !template.id || typeof template.card !== 'function') {
+        throw new Error('An interpretation template needs an id and a card() function');
+    }
+    INTERPRETATION_TEMPLATES[template.id] = template;
+}
+
+// Look up a template by id, falling back to the default template
+function getInterpretationTemplate(id) {
+    if (id && INTERPRETATION_TEMPLATES[id]) {
+        return INTERPRETATION_TEMPLATES[id];
+    }
+
+    if (id) {
+        console.warn(`Unknown interpretation template "${id}", using "${DEFAULT_INTERPRETATION_TEMPLATE_ID}"`);
+    }
+    return INTERPRETATION_TEMPLATES[DEFAULT_INTERPRETATION_TEMPLATE_ID];
+}
+
+// Write the reading for a reading result (see getResult in reading-engine.js)
+// options: { template, category (name of the query's data.json category), channels (channel titles per card, in result order) }
+// Returns { template, intro, cards: [{ slot, label, text }], outro, text }
+function interpretReading(reading, { template = getInterpretationTemplate(), category = null, channels = [] } = {}) {
+    const spread = getSpread(reading.spread);
+
+    const cards = reading.cards.map((revealed, i) => {
+        const position = spread.positions.find(candidate => candidate.label === revealed.position) || {};
+        const card = revealed.card;
+
+        return {
+            slot: revealed.slot,
+            position: revealed.position,
+            meaning: position.meaning || (revealed.position || '').toLowerCase(),
+            label: revealed.label,
+            reversed: Boolean(revealed.reversed),
+            title: card.title,
+            excerpt: getExcerpt(card.description || card.content),
+            channels: (channels[i] || []).slice(0, INTERPRETATION_CHANNELS),
+            kind: card.kind,
+            author: card.author,
+            domain: card.domain
+        };
+    });
+
+    const context = {
+        spreadName: reading.spreadName,
+        query: reading.query,
+        category: formatCategory(category),
+        cards
+    };
+
+    const intro = template.intro ? template.intro(context) : '';
+    const paragraphs = cards.map(card => ({ slot: card.slot, label: card.label, text: template.card(card, context) }));
+    const outro = template.outro ? template.outro(context) : '';
+
+    return {
+        template: template.id,
+        intro,
+        cards: paragraphs,
+        outro,
+        text: [intro, ...paragraphs.map(paragraph => paragraph.text), outro].filter(Boolean).join('\n\n')
+    };
+}
+
+// Show a written reading in the panel beneath the spread
+function renderInterpretation(interpretation) {
+    const panel = document.getElementById('interpretation');
+    const body = document.getElementById('interpretation-text');
+    if (!panel || !body) {
+        return;
+    }
+
+    body.innerHTML = '';
+    [interpretation.intro, ...interpretation.cards.map(card => card.text), interpretation.outro]
+        .filter(Boolean)
+        .forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            body.appendChild(paragraph);
+        });
+
+    panel.hidden = false;
+}
+
+// Take the written reading away, e.g. when the cards are reset
+function hideInterpretation() {
+    const panel = document.getElementById('interpretation');
+    if (panel) {
+        panel.hidden = true;
+    }
+}
+
+// Wire up the panel's close button
+function setupInterpretationPanel() {
+    const closeButton = document.getElementById('interpretation-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', hideInterpretation);
+    }
+}
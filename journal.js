@@ -0,0 +1,202 @@
+// Reading journal
+//
+// Completed readings are kept in localStorage so they survive a reset or reload.
+// Each entry stores enough to browse it offline (titles, thumbnails, labels and
+// the written reading, see interpretation.js) and the permalink that reopens it
+// (see permalink.js).
+
+const JOURNAL_STORAGE_KEY = 'arena-tarot-journal';
+const JOURNAL_MAX_ENTRIES = 200;  // Oldest readings are dropped beyond this
+
+// Load all saved readings, newest first
+function loadJournal() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(JOURNAL_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('Could not read the reading journal:', error);
+        return [];
+    }
+}
+
+// Persist the whole journal
+function storeJournal(entries) {
+    try {
+        window.localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(entries));
+        return true;
+    } catch (error) {
+        // Private browsing or a full quota - the reading still works, it is just not kept
+        console.warn('Could not save the reading journal:', error);
+        return false;
+    }
+}
+
+// Add a reading to the top of the journal
+function saveJournalEntry(entry) {
+    const entries = [entry, ...loadJournal()].slice(0, JOURNAL_MAX_ENTRIES);
+    storeJournal(entries);
+    return entry;
+}
+
+// Remove a reading by id
+function deleteJournalEntry(id) {
+    storeJournal(loadJournal().filter(entry => entry.id !== id));
+}
+
+// Download every saved reading as a JSON file
+function exportJournal() {
+    const data = {
+        exportedAt: new Date().toISOString(),
+        readings: loadJournal()
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `arena-tarot-readings-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+// Build the list item for one saved reading
+function createJournalItem(entry, onChange) {
+    const item = document.createElement('li');
+    item.className = 'history-entry';
+
+    const heading = document.createElement('div');
+    heading.className = 'history-entry-heading';
+
+    const name = document.createElement('span');
+    name.textContent = entry.spreadName;
+    heading.appendChild(name);
+
+    const date = document.createElement('time');
+    date.dateTime = new Date(entry.timestamp).toISOString();
+    date.textContent = new Date(entry.timestamp).toLocaleString();
+    heading.appendChild(date);
+
+    item.appendChild(heading);
+
+    if (entry.query) {
+        const query = document.createElement('p');
+        query.className = 'history-entry-query';
+        query.textContent = `“${entry.query}”`;
+        item.appendChild(query);
+    }
+
+    const cards = document.createElement('ol');
+    cards.className = 'history-entry-cards';
+    entry.cards.forEach(card => {
+        const cardItem = document.createElement('li');
+
+        if (card.thumbnail) {
+            const image = document.createElement('img');
+            image.src = card.thumbnail;
+            image.alt = card.title || card.label;
+            image.loading = 'lazy';
+            cardItem.appendChild(image);
+        }
+
+        const caption = document.createElement('span');
+        caption.textContent = card.title ? `${card.label}: ${card.title}` : card.label;
+        cardItem.appendChild(caption);
+
+        cards.appendChild(cardItem);
+    });
+    item.appendChild(cards);
+
+    if (entry.interpretation) {
+        const interpretation = document.createElement('details');
+        interpretation.className = 'history-entry-interpretation';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Written reading';
+        interpretation.appendChild(summary);
+
+        const text = document.createElement('p');
+        text.textContent = entry.interpretation;
+        interpretation.appendChild(text);
+
+        item.appendChild(interpretation);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-entry-actions';
+
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', () => {
+        window.location.href = entry.link;
+    });
+    actions.appendChild(openButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => {
+        deleteJournalEntry(entry.id);
+        onChange();
+    });
+    actions.appendChild(deleteButton);
+
+    item.appendChild(actions);
+    return item;
+}
+
+// Render the saved readings into the history panel
+function renderJournal() {
+    const list = document.getElementById('history-list');
+    if (!list) {
+        return;
+    }
+
+    const entries = loadJournal();
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = 'No saved readings yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        list.appendChild(createJournalItem(entry, renderJournal));
+    });
+}
+
+// Wire up the history toggle, close and export buttons
+function setupHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    const toggle = document.getElementById('history-toggle');
+    if (!panel || !toggle) {
+        return;
+    }
+
+    const setOpen = open => {
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            renderJournal();
+        }
+    };
+
+    toggle.addEventListener('click', () => setOpen(panel.hidden));
+
+    const closeButton = document.getElementById('history-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', () => setOpen(false));
+    }
+
+    const exportButton = document.getElementById('history-export');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportJournal);
+    }
+}
@@ -0,0 +1,89 @@
+// Shareable readings
+//
+// A completed reading is encoded as a compact token in the ?reading= URL parameter:
+//
+//   { v: 1, s: 'three-card', q: 'Bauhaus', c: [[slot, blockId], [slot, blockId, 1], ...] }
+//
+// Cards are stored in the order they were revealed so reveal-order spreads get
+// their labels back. A third entry of 1 marks a reversed card. Other URL
+// parameters (channel, deck, seed ...) are kept as is.
+
+const READING_TOKEN_VERSION = 1;
+
+// Base64url helpers that survive non-ASCII queries
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function fromBase64Url(token) {
+    const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Encode a reading ({ spread, query, cards: [{ slot, id, reversed }] }) into a token
+function encodeReading(reading) {
+    const payload = {
+        v: READING_TOKEN_VERSION,
+        s: reading.spread,
+        c: reading.cards.map(card => (card.reversed ? [card.slot, card.id, 1] : [card.slot, card.id]))
+    };
+
+    if (reading.query) {
+        payload.q = reading.query;
+    }
+
+    return toBase64Url(JSON.stringify(payload));
+}
+
+// Decode a token back into a reading, throws on anything malformed
+function decodeReading(token) {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(token));
+    } catch (error) {
+        throw new Error('Reading link is corrupted');
+    }
+
+    if (!payload || payload.v !== READING_TOKEN_VERSION) {
+        throw new Error('Reading link has an unsupported version');
+    }
+
+    if (typeof payload.s !== 'string' || !Array.isArray(payload.c) || payload.c.length === 0) {
+        throw new Error('Reading link is incomplete');
+    }
+
+    return {
+        spread: payload.s,
+        query: payload.q || null,
+        cards: payload.c.map(([slot, id, reversed]) => {
+            if (!Number.isInteger(slot) || id === undefined || id === null) {
+                throw new Error('Reading link contains an invalid card');
+            }
+            return { slot, id, reversed: reversed === 1 };
+        })
+    };
+}
+
+// Build the URL of the current page with a reading attached (or removed when null)
+function getReadingUrl(reading) {
+    const url = new URL(window.location.href);
+
+    if (reading) {
+        url.searchParams.set('reading', encodeReading(reading));
+    } else {
+        url.searchParams.delete('reading');
+    }
+
+    return url.toString();
+}
@@ -0,0 +1,240 @@
+// Search queries
+//
+// data.json lists the Are.na search queries readings are drawn from, grouped
+// into categories:
+//
+//   {
+//     "version": 2,
+//     "categories": [
+//       {
+//         "id": "art_movements",             - used in the ?theme= URL parameter
+//         "name": "Art movements",           - shown in the theme picker
+//         "enabled": true,                   - (optional) false leaves the category out
+//         "weight": 1,                       - (optional) how often the category is picked, relative to the others
+//         "spreads": { "three-card": 1.5 },  - (optional) weight multiplier while a spread is laid out
+//         "queries": ["Bauhaus", { "query": "Dada", "weight": 2, "enabled": true }]
+//       }
+//     ]
+//   }
+//
+// A draw first picks a category by weight (times its affinity for the spread),
+// then a query within it by weight. A theme limits draws to one category.
+// The original format, an object of query lists ({ "artists": [...] }), is
+// still read and upgraded on load.
+
+const QUERY_DATA_VERSION = 2;
+
+// A data.json that does not follow the schema, problems lists everything wrong with it
+class QueryDataError extends Error {
+    constructor(problems) {
+        super(`data.json is malformed:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'QueryDataError';
+        this.problems = problems;
+    }
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Turn a legacy category key into a name, e.g. art_movements -> Art movements
+function nameCategory(id) {
+    const words = id.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Upgrade the original { category: [queries] } format, other data is returned as is
+function upgradeQueryData(data) {
+    if (!isPlainObject(data) || data.version !== undefined || !Object.values(data).every(Array.isArray)) {
+        return data;
+    }
+
+    return {
+        version: QUERY_DATA_VERSION,
+        categories: Object.entries(data).map(([id, queries]) => ({ id, name: nameCategory(id), queries }))
+    };
+}
+
+// Check data against the schema, returns a list of problems (empty when it is valid)
+function validateQueryData(data) {
+    const problems = [];
+
+    if (!isPlainObject(data)) {
+        return ['the file must contain an object'];
+    }
+    if (data.version !== QUERY_DATA_VERSION) {
+        problems.push(`version must be ${QUERY_DATA_VERSION}`);
+    }
+    if (!Array.isArray(data.categories) || data.categories.length === 0) {
+        problems.push('categories must be a list with at least one category');
+        return problems;
+    }
+
+    const ids = new Set();
+    data.categories.forEach((category, i) => {
+        const where = `categories[${i}]`;
+        if (!isPlainObject(category)) {
+            problems.push(`${where} must be an object`);
+            return;
+        }
+
+        if (typeof category.id !== 'string' || !category.id.trim()) {
+            problems.push(`${where}.id must be a non-empty string`);
+        } else if (ids.has(category.id)) {
+            problems.push(`${where}.id "${category.id}" is used by another category`);
+        } else {
+            ids.add(category.id);
+        }
+
+        if (category.name !== undefined && typeof category.name !== 'string') {
+            problems.push(`${where}.name must be a string`);
+        }
+        if (category.enabled !== undefined && typeof category.enabled !== 'boolean') {
+            problems.push(`${where}.enabled must be true or false`);
+        }
+        if (category.weight !== undefined && !isWeight(category.weight)) {
+            problems.push(`${where}.weight must be a number of at least 0`);
+        }
+        if (category.spreads !== undefined) {
+            if (!isPlainObject(category.spreads)) {
+                problems.push(`${where}.spreads must map spread ids to weights`);
+            } else {
+                Object.entries(category.spreads).forEach(([spreadId, weight]) => {
+                    if (!isWeight(weight)) {
+                        problems.push(`${where}.spreads["${spreadId}"] must be a number of at least 0`);
+                    }
+                });
+            }
+        }
+
+        if (!Array.isArray(category.queries) || category.queries.length === 0) {
+            problems.push(`${where}.queries must be a list with at least one query`);
+            return;
+        }
+
+        category.queries.forEach((entry, j) => {
+            const entryWhere = `${where}.queries[${j}]`;
+            if (typeof entry === 'string') {
+                if (!entry.trim()) {
+                    problems.push(`${entryWhere} must not be empty`);
+                }
+                return;
+            }
+
+            if (!isPlainObject(entry) || typeof entry.query !== 'string' || !entry.query.trim()) {
+                problems.push(`${entryWhere} must be a query or { "query": "...", "weight": 1 }`);
+                return;
+            }
+            if (entry.weight !== undefined && !isWeight(entry.weight)) {
+                problems.push(`${entryWhere}.weight must be a number of at least 0`);
+            }
+            if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+                problems.push(`${entryWhere}.enabled must be true or false`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+// Read data.json contents into the categories draws use, throws a QueryDataError when it is malformed
+// Returns { categories: [{ id, name, enabled, weight, spreads, queries: [{ query, weight }] }] }
+function parseQueryData(data) {
+    const upgraded = upgradeQueryData(data);
+    const problems = validateQueryData(upgraded);
+    if (problems.length > 0) {
+        throw new QueryDataError(problems);
+    }
+
+    const categories = upgraded.categories.map(category => {
+        const seen = new Set();
+        const queries = [];
+
+        category.queries.forEach(entry => {
+            const query = typeof entry === 'string' ? { query: entry } : entry;
+            if (query.enabled === false) {
+                return;
+            }
+
+            // The same query listed twice would be drawn twice as often
+            const key = query.query.trim().toLowerCase();
+            if (seen.has(key)) {
+                console.warn(`data.json lists "${query.query}" more than once in "${category.id}", keeping it once`);
+                return;
+            }
+            seen.add(key);
+
+            queries.push({
+                query: query.query.trim(),
+                weight: query.weight !== undefined ? query.weight : 1
+            });
+        });
+
+        return {
+            id: category.id,
+            name: category.name || nameCategory(category.id),
+            enabled: category.enabled !== false,
+            weight: category.weight !== undefined ? category.weight : 1,
+            spreads: category.spreads || {},
+            queries
+        };
+    });
+
+    return { categories };
+}
+
+// Count the queries draws can pick from
+function countQueries(taxonomy) {
+    return getQueryThemes(taxonomy).reduce((total, category) => total + category.queries.length, 0);
+}
+
+// The categories a reader can pick as a theme: enabled and with at least one query
+function getQueryThemes(taxonomy) {
+    return taxonomy.categories.filter(category => category.enabled && category.queries.length > 0);
+}
+
+// Pick one item by weight, null when every weight is 0
+function pickWeighted(items, getWeight, random) {
+    const total = items.reduce((sum, item) => sum + getWeight(item), 0);
+    if (total <= 0) {
+        return null;
+    }
+
+    let threshold = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        threshold -= getWeight(items[i]);
+        if (threshold < 0) {
+            return items[i];
+        }
+    }
+    return items[items.length - 1];
+}
+
+// Draw a query, returns { query, category } or null when nothing can be drawn
+// options: { theme (category id, empty for every category), spread (id of the spread laid out), random }
+function pickQuery(taxonomy, { theme = '', spread = null, random = Math.random } = {}) {
+    const themes = getQueryThemes(taxonomy);
+    let categories = themes;
+
+    if (theme) {
+        categories = themes.filter(category => category.id === theme);
+        if (categories.length === 0) {
+            console.warn(`Unknown or empty theme "${theme}", drawing from every category`);
+            categories = themes;
+        }
+    }
+
+    const affinity = category => (spread && category.spreads[spread] !== undefined ? category.spreads[spread] : 1);
+    const category = pickWeighted(categories, candidate => candidate.weight * affinity(candidate), random);
+    if (!category) {
+        return null;
+    }
+
+    const entry = pickWeighted(category.queries, query => query.weight, random);
+    return entry ? { query: entry.query, category } : null;
+}
+
+// Find the category a query belongs to, null for queries that are not listed
+function findQueryCategory(taxonomy, query) {
+    return taxonomy.categories.find(category => category.queries.some(entry => entry.query === query)) || null;
+}
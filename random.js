@@ -0,0 +1,36 @@
+// Seeded random numbers
+//
+// Every choice that shapes a reading (query, deck order, drawn cards, whether the
+// shuffle plays again) goes through a generator created here, so the same seed
+// replays the same reading. Purely cosmetic jitter keeps using Math.random.
+
+// Hash a seed string into a 32 bit integer (xmur3)
+function hashSeed(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Create a random() function for a seed, same contract as Math.random (mulberry32)
+function createSeededRandom(seed) {
+    let state = hashSeed(String(seed));
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Create a fresh short seed for a new session
+function createSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
@@ -0,0 +1,253 @@
+// Reading engine
+//
+// The reading logic on its own, without Three.js or the DOM: a spread and a
+// content source go in, revealed cards and a reading result come out. The scene
+// in script.js is one consumer of it, cli.js drives the same engine from Node.
+//
+//   const engine = createReadingEngine({ source, spread, getQuery, random, reversalChance });
+//   await engine.deal();                  // start a reading, a card from the deck face down in every slot
+//   await engine.deal(['123', '456']);    // the same, with chosen blocks in the first slots (e.g. pulled in the shuffle)
+//   const revealed = await engine.reveal(0);
+//   engine.isComplete();                  // every position of the spread revealed?
+//   engine.getResult();                   // the reading, see below
+//
+// Dealing draws a different block for every slot (without replacement, see
+// drawCards in sources.js), so which card a slot holds is decided before it is
+// turned over. Blocks chosen by id fill the first slots instead, and the
+// other slots are drawn from the rest of the deck. With a reversalChance each
+// dealt card may also lie upside down (reversed), decided with `random` when it
+// is dealt.
+//
+// A revealed slot is { slot, revealIndex, position, label, reversed, id, block, card }:
+// position is the spread position's label (by slot or by reveal order, see
+// getSpreadPosition in spreads.js) and label the text shown with the card, e.g.
+// "Future · Reversed". block is the raw block from the source, card its
+// description (see describeCard in sources.js). Cards are revealed one at a time.
+//
+// getResult() returns { spread, spreadName, query, complete, cards } with the
+// revealed slots in reveal order. It can be passed to encodeReading() as is.
+
+// Read how likely a dealt card is reversed from a setting (the ?reversals= URL
+// parameter, cli.js --reversals): a number from 0 to 1, 'on' for half of the cards
+// or 'off' for none
+function parseReversalChance(value) {
+    if (value === 'on') {
+        return 0.5;
+    }
+
+    const chance = parseFloat(value);
+    return chance > 0 ? Math.min(chance, 1) : 0;
+}
+
+// Label shown with a revealed card
+function getCardLabel(position, reversed) {
+    if (!reversed) {
+        return position;
+    }
+    return position ? `${position} · Reversed` : 'Reversed';
+}
+
+// Create an engine for readings of one spread from one content source
+// getQuery (optional) returns the search query behind the current deck,
+// reversalChance (0 to 1, default 0) how likely a dealt card lies reversed
+function createReadingEngine({ source, spread, getQuery = () => null, random = Math.random, reversalChance = 0 }) {
+    let slots = [];
+    let dealt = [];         // The block lying face down in each slot, null when none was dealt
+    let reversals = [];     // Whether the card in each slot lies upside down
+    let revealing = false;  // Whether a card is being turned over right now
+    let readingCount = 0;   // Counts started readings, so a slow deal cannot fill a newer reading
+
+    const emptySlot = index => ({
+        slot: index,
+        revealIndex: null,
+        position: null,
+        label: null,
+        reversed: false,
+        id: null,
+        block: null,
+        card: null
+    });
+
+    const getSlot = index => {
+        if (!slots[index]) {
+            throw new Error(`Spread "${spread.id}" has no slot ${index}`);
+        }
+        return slots[index];
+    };
+
+    const isRevealed = index => Boolean(slots[index] && slots[index].card);
+
+    const getRevealedCount = () => slots.filter(slot => slot.card).length;
+
+    const isComplete = () => slots.length > 0 && getRevealedCount() >= spread.positions.length;
+
+    // Lay out every slot of the spread empty
+    function clearSlots() {
+        slots = spread.slots.map((slot, index) => emptySlot(index));
+        dealt = spread.slots.map(() => null);
+        reversals = spread.slots.map(() => false);
+        revealing = false;
+        readingCount++;
+    }
+
+    // Without reversals no random numbers are used, so seeded readings stay the same
+    const drawReversal = () => reversalChance > 0 && random() < reversalChance;
+
+    // The block in a slot, drawing one now for slots that were not dealt (e.g. left empty by a restored reading)
+    async function getDealtBlock(index) {
+        if (!dealt[index]) {
+            const onTable = dealt.filter(Boolean).map(block => block.id);
+            const [block] = await source.drawCards(1, onTable);
+
+            // A deal that finished in the meantime has filled the slot already
+            if (!dealt[index]) {
+                dealt[index] = block;
+                reversals[index] = drawReversal();
+            }
+        }
+        return dealt[index];
+    }
+
+    // Put a drawn block into a slot, after the optional prepare hook accepted it
+    async function fill(index, block, revealIndex, prepare) {
+        const card = source.describeCard(block);
+        const position = getSpreadPosition(spread, index, revealIndex);
+        const positionLabel = position ? position.label : '';
+        const reversed = reversals[index];
+
+        const revealed = {
+            slot: index,
+            revealIndex,
+            position: positionLabel,
+            label: getCardLabel(positionLabel, reversed),
+            reversed,
+            id: card.id,
+            block,
+            card
+        };
+
+        if (prepare) {
+            await prepare(revealed);
+        }
+
+        slots[index] = revealed;
+        return revealed;
+    }
+
+    const engine = {
+        spread,
+        source,
+
+        // Start a new reading: the slots are empty straight away, and the promise
+        // resolves once a different card lies face down in every one of them.
+        // chosenIds (optional) are the ids of the blocks for the first slots, the other slots are drawn
+        async deal(chosenIds = []) {
+            clearSlots();
+            const reading = readingCount;
+            const chosen = await Promise.all(chosenIds.slice(0, spread.slots.length).map(id => source.getCard(id)));
+            const drawn = await source.drawCards(spread.slots.length - chosen.length, chosen.map(block => block.id));
+            const blocks = [...chosen, ...drawn];
+
+            if (reading === readingCount) {
+                // Slots revealed while the deal was under way keep their card, and it is not dealt twice
+                const onTable = new Set(dealt.filter(Boolean).map(block => block.id));
+                const spare = blocks.filter(block => !onTable.has(block.id));
+
+                dealt.forEach((block, index) => {
+                    if (!block) {
+                        dealt[index] = spare.shift() || null;
+                        reversals[index] = drawReversal();
+                    }
+                });
+            }
+            return engine.getSlots();
+        },
+
+        // Get a copy of every slot
+        getSlots: () => slots.map(slot => ({ ...slot })),
+
+        // Get one slot, throws for slots the spread does not have
+        getSlot: index => ({ ...getSlot(index) }),
+
+        isRevealed,
+        getRevealedCount,
+        isComplete,
+
+        // Check whether a reveal is in progress
+        isRevealing: () => revealing,
+
+        // The position a face-down card stands for, known up front only in slot spreads
+        getUpcomingPosition: index => (spread.assignment === 'slot' ? getSpreadPosition(spread, index, 0) : null),
+
+        // Look at the card lying face down in a slot without revealing it, null when there is none
+        peek(index) {
+            getSlot(index);
+            return dealt[index] ? source.describeCard(dealt[index]) : null;
+        },
+
+        // The cards still lying face down, so their faces can be loaded ahead
+        getUpcomingCards: () => dealt
+            .filter((block, index) => block && !isRevealed(index))
+            .map(block => source.describeCard(block)),
+
+        // Turn over the card dealt into a slot
+        // prepare(revealed) may be async (e.g. load the card's image), if it throws the slot stays empty
+        async reveal(index, prepare) {
+            getSlot(index);
+
+            if (isComplete()) {
+                throw new Error('Every position of the spread is already revealed');
+            }
+            if (isRevealed(index)) {
+                throw new Error(`Slot ${index} is already revealed`);
+            }
+            if (revealing) {
+                throw new Error('Another card is being revealed');
+            }
+
+            revealing = true;
+            try {
+                const block = await getDealtBlock(index);
+                if (!block) {
+                    throw new Error('No card data received');
+                }
+                return await fill(index, block, getRevealedCount(), prepare);
+            } finally {
+                revealing = false;
+            }
+        },
+
+        // Start a reading from a decoded permalink (see decodeReading in permalink.js) instead of dealing,
+        // its cards are revealed and the other slots draw a card when they are turned over.
+        // Resolves to the outcome of every card: { status: 'fulfilled', value } or { status: 'rejected', reason }
+        restore(reading, prepare) {
+            clearSlots();
+
+            return Promise.allSettled(reading.cards.map(async (sharedCard, revealIndex) => {
+                getSlot(sharedCard.slot);
+                const block = await source.getCard(sharedCard.id);
+                dealt[sharedCard.slot] = block;
+                reversals[sharedCard.slot] = Boolean(sharedCard.reversed);
+                return fill(sharedCard.slot, block, revealIndex, prepare);
+            }));
+        },
+
+        // The reading so far, revealed cards in reveal order
+        getResult() {
+            const cards = slots
+                .filter(slot => slot.card)
+                .sort((a, b) => a.revealIndex - b.revealIndex)
+                .map(slot => ({ ...slot }));
+
+            return {
+                spread: spread.id,
+                spreadName: spread.name,
+                query: getQuery(),
+                complete: isComplete(),
+                cards
+            };
+        }
+    };
+
+    return engine;
+}
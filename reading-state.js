@@ -0,0 +1,78 @@
+// Reading state machine
+//
+// A reading is always in exactly one of these states:
+//
+//   loading   - content and textures are being prepared (or a shared reading restored)
+//   shuffling - the cosmic shuffle is playing
+//   dealt     - the cards lie on the table, waiting to be revealed
+//   revealing - one card is being drawn and turned over
+//   complete  - every position of the spread is revealed
+//   resetting - the cards are leaving the table for a new reading
+//   error     - the reading could not be prepared
+//
+// Interactions check the state before they start (a card cannot be flipped
+// during a reset), and anything that reacts to the flow of a reading subscribes
+// to the transitions instead of polling flags.
+
+// Which states each state may move on to
+const READING_TRANSITIONS = {
+    loading: ['shuffling', 'dealt', 'complete', 'error'],
+    shuffling: ['dealt', 'error'],
+    dealt: ['revealing', 'resetting'],
+    revealing: ['dealt', 'complete'],
+    complete: ['resetting'],
+    resetting: ['loading', 'error'],
+    error: ['loading', 'resetting']
+};
+
+// Create a state machine for one session of readings
+function createReadingMachine(initialState = 'loading') {
+    if (!READING_TRANSITIONS[initialState]) {
+        throw new Error(`Unknown reading state: ${initialState}`);
+    }
+
+    let state = initialState;
+    let detail = {};
+    const listeners = [];
+
+    return {
+        getState: () => state,
+
+        // Extra information passed with the last transition, e.g. { cardIndex } while revealing
+        getDetail: () => detail,
+
+        // Check whether the machine is in any of the given states
+        is: (...states) => states.includes(state),
+
+        // Check whether a transition is allowed from the current state
+        can: next => READING_TRANSITIONS[state].includes(next),
+
+        // Move to the next state, throws on transitions the flow does not allow
+        transition(next, nextDetail = {}) {
+            if (!READING_TRANSITIONS[next]) {
+                throw new Error(`Unknown reading state: ${next}`);
+            }
+            if (!READING_TRANSITIONS[state].includes(next)) {
+                throw new Error(`Invalid reading transition: ${state} → ${next}`);
+            }
+
+            const event = { from: state, to: next, detail: nextDetail };
+            state = next;
+            detail = nextDetail;
+
+            listeners.slice().forEach(listener => listener(event));
+            return event;
+        },
+
+        // Call a listener with { from, to, detail } on every transition, returns an unsubscribe function
+        subscribe(listener) {
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        }
+    };
+}
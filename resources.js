@@ -0,0 +1,79 @@
+// GPU resources
+//
+// Three.js keeps geometries, materials and textures on the GPU until they are
+// disposed; taking a mesh out of the scene does not free them. Everything the
+// scene creates for a reading is tracked and disposed together once it has
+// left the table:
+//
+//   const resources = createResourceTracker('cards');
+//   const material = resources.track(new THREE.MeshBasicMaterial({ map: resources.track(texture) }));
+//   resources.release(material);  // dispose one resource early, e.g. a replaced label
+//   resources.dispose();          // dispose everything still tracked
+//
+// Disposing a material does not dispose its textures, so both are tracked.
+// Resources every reading shares (the card back) are left untracked.
+
+const RESOURCE_READOUT_INTERVAL = 500;  // Milliseconds between updates of the debug readout
+
+// Create a tracker for resources that are disposed together
+function createResourceTracker(name) {
+    const resources = new Set();
+
+    return {
+        name,
+
+        // Start tracking a geometry, material or texture, returns it for chaining
+        track(resource) {
+            if (resource && typeof resource.dispose === 'function') {
+                resources.add(resource);
+            }
+            return resource;
+        },
+
+        // Dispose one tracked resource before the others
+        release(resource) {
+            if (resources.delete(resource)) {
+                resource.dispose();
+            }
+        },
+
+        // Dispose every tracked resource, the tracker can be used again afterwards
+        dispose() {
+            resources.forEach(resource => resource.dispose());
+            resources.clear();
+        },
+
+        get size() {
+            return resources.size;
+        }
+    };
+}
+
+// Describe what the renderer holds on the GPU and what the trackers still hold
+function describeResources(renderer, trackers) {
+    const { memory, render, programs } = renderer.info;
+    return [
+        `geometries ${memory.geometries}`,
+        `textures ${memory.textures}`,
+        `programs ${programs ? programs.length : 0}`,
+        `draw calls ${render.calls}`,
+        `triangles ${render.triangles}`,
+        ...trackers.map(tracker => `tracked ${tracker.name} ${tracker.size}`)
+    ].join('\n');
+}
+
+// Show renderer.info in an element, update(now) is called every frame and redraws a few times a second
+function createResourceReadout(element, renderer, trackers) {
+    let lastUpdate = -Infinity;
+    element.hidden = false;
+
+    return {
+        update(now) {
+            if (now - lastUpdate < RESOURCE_READOUT_INTERVAL) {
+                return;
+            }
+            lastUpdate = now;
+            element.textContent = describeResources(renderer, trackers);
+        }
+    };
+}
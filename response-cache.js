@@ -0,0 +1,126 @@
+// Response cache
+//
+// Keeps parsed JSON responses for a while, in memory and, where the browser
+// offers it, in the Cache API so the next visit starts without waiting on the
+// network. Every lookup says how old an entry may be:
+//
+//   const cache = createResponseCache();
+//   await cache.set(url, data);
+//   const data = await cache.get(url, 60 * 60 * 1000);  // null when missing or older than an hour
+//
+// An entry found older than its lookup allows is deleted, and the persistent
+// store keeps at most RESPONSE_CACHE_STORE_ENTRIES responses, dropping the
+// oldest first, so responses nobody asks for again do not pile up.
+//
+// The Cache API only exists on https pages and localhost, elsewhere (file:
+// pages, Node) the cache lives in memory only.
+
+const RESPONSE_CACHE_NAME = 'arena-tarot-responses-v1';
+const RESPONSE_CACHE_MEMORY_ENTRIES = 100;  // Responses kept in memory, the oldest are dropped first
+const RESPONSE_CACHE_STORE_ENTRIES = 500;   // Responses kept in the Cache API, the oldest are dropped first
+
+// Create a cache; entries are stored as { storedAt, value }
+function createResponseCache({
+    name = RESPONSE_CACHE_NAME,
+    memoryEntries = RESPONSE_CACHE_MEMORY_ENTRIES,
+    storeEntries = RESPONSE_CACHE_STORE_ENTRIES
+} = {}) {
+    const memory = new Map();
+    let storePromise = null;
+
+    // Open the persistent store once, resolves to null when there is none
+    function openStore() {
+        if (!storePromise) {
+            storePromise = typeof caches === 'undefined'
+                ? Promise.resolve(null)
+                : caches.open(name).catch(error => {
+                    console.warn('Responses are only cached in memory:', error);
+                    return null;
+                });
+        }
+        return storePromise;
+    }
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+
+        if (memory.size > memoryEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    const isFresh = (entry, ttl) => Boolean(entry) && Date.now() - entry.storedAt <= ttl;
+
+    // Drop the oldest responses on disk beyond storeEntries (the Cache API lists them in the order they were stored)
+    async function trimStore(store) {
+        const requests = await store.keys();
+        const excess = requests.slice(0, Math.max(0, requests.length - storeEntries));
+        await Promise.all(excess.map(request => store.delete(request)));
+    }
+
+    return {
+        // Get a value stored at most ttl milliseconds ago, null otherwise
+        async get(key, ttl) {
+            const cached = memory.get(key);
+            if (isFresh(cached, ttl)) {
+                return cached.value;
+            }
+            memory.delete(key);
+
+            const store = await openStore();
+            if (!store) {
+                return null;
+            }
+
+            try {
+                const response = await store.match(key);
+                if (!response) {
+                    return null;
+                }
+
+                const entry = await response.json();
+                if (!isFresh(entry, ttl)) {
+                    await store.delete(key);
+                    return null;
+                }
+
+                remember(key, entry);
+                return entry.value;
+            } catch (error) {
+                console.warn(`Could not read cached response for ${key}:`, error);
+                return null;
+            }
+        },
+
+        // Store a value, a failing persistent store only loses the copy on disk
+        async set(key, value) {
+            const entry = { storedAt: Date.now(), value };
+            remember(key, entry);
+
+            const store = await openStore();
+            if (!store) {
+                return;
+            }
+
+            try {
+                await store.put(key, new Response(JSON.stringify(entry), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+                await trimStore(store);
+            } catch (error) {
+                console.warn(`Could not cache response for ${key}:`, error);
+            }
+        },
+
+        // Forget every stored response
+        async clear() {
+            memory.clear();
+
+            const store = await openStore();
+            if (store) {
+                await Promise.all((await store.keys()).map(request => store.delete(request)));
+            }
+        }
+    };
+}
@@ -1,11 +1,66 @@
-// Are.na API configuration
-const ARENA_API_BASE = 'https://api.are.na/v2';
+// Channel configuration - set one or more channel slugs (comma separated) to draw
+// cards from your own Are.na channels instead of global search.
+// Can be overridden with the ?channel= URL parameter, e.g. ?channel=my-deck,another-deck
+const CHANNEL_SLUG = '';
+
+// Local deck configuration - path to a deck.json manifest to read offline.
+// Can be overridden with the ?deck= URL parameter, e.g. ?deck=decks/example/deck.json
+const LOCAL_DECK = '';
+
+// Spread configuration - id of the spread to lay out (see spreads.js).
+// Can be overridden with the ?spread= URL parameter, e.g. ?spread=celtic-cross
+const SPREAD_ID = 'three-card';
+
+// Theme configuration - id of the data.json category to draw search queries from ('' for every category).
+// Can be overridden with the ?theme= URL parameter or the theme picker, e.g. ?theme=art_movements
+const QUERY_THEME = '';
+
+// Problems of a malformed data.json shown on the page, the console lists all of them
+const QUERY_PROBLEMS_SHOWN = 3;
+
+// Reversal configuration - how likely a dealt card lies upside down (reversed), from 0 to 1.
+// 0 reads every card upright. Can be overridden with the ?reversals= URL parameter,
+// e.g. ?reversals=0.3, ?reversals=on (half of the cards) or ?reversals=off
+const REVERSAL_CHANCE = 0;
+
+// Interpretation configuration - id of the template the written reading uses (see interpretation.js).
+// Can be overridden with the ?interpretation= URL parameter, e.g. ?interpretation=plain
+const INTERPRETATION_TEMPLATE = 'classic';
+
+// Longest wait for a card's Are.na channels before the written reading leaves them out
+const INTERPRETATION_CHANNEL_TIMEOUT = 3000;
+
+// Shuffle configuration - how the cosmic shuffle plays (see shuffle.js): cards in the galaxy, its radius,
+// orbit speeds, how long it swirls, whether a slow machine gets fewer cards and whether the reader
+// pulls the cards out of it. The card count can be overridden with the ?shuffle-cards= URL parameter,
+// e.g. ?shuffle-cards=300, adaptive quality turned off with ?adaptive=off, and the interactive
+// shuffle turned on with ?shuffle=interactive (or off with ?shuffle=cinematic)
+const SHUFFLE_OPTIONS = {
+    cardCount: 60,
+    radius: 20,
+    orbitSpeeds: [0.2, 0.3, 0.4, 0.5, 0.6],
+    duration: 3000,
+    adaptive: true,
+    interactive: false
+};
+
+// Style pack - the look of the table: card back, card edges, background, labels and page colours
+// (see style-packs.js for the built-in packs). Can be overridden with the ?style= URL parameter, e.g. ?style=moonlight
+const STYLE_PACK = 'classic';
 
 // State management
-let cards = [];
-let revealedCardCount = 0;  // Track how many cards have been revealed
-const MAX_REVEALED_CARDS = 3;  // Maximum number of cards that can be revealed (still 3)
-let queries = []; // Will store queries loaded from data.json
+let contentSource = null;  // Where cards are drawn from (see sources.js)
+let currentSpread = null;  // Active spread definition (see spreads.js)
+let readingEngine = null;  // Draws and labels the cards, the scene only shows them (see reading-engine.js)
+let readingRenderer = null;  // Shows the reading: the Three.js scene, or DOM cards (see dom-renderer.js)
+let readingSeed = '';  // Seed of this session, replay with ?seed=
+let readingRandom = Math.random;  // Seeded generator for every reading choice (see random.js)
+let currentQuery = null;  // Search query behind the current deck, if any
+let sharedReading = null;  // Reading decoded from ?reading=, restored instead of shuffling
+let queryTaxonomy = { categories: [] };  // Query categories loaded from data.json (see queries.js)
+let stylePack = null;  // The style pack the table is dressed in (see style-packs.js)
+let cardBack = null;  // Its card back at the size this screen needs, null when the image did not load
+let styleRequest = 0;  // Counts style changes, so a slow card back cannot replace a newer one
 
 // Three.js variables
 let scene, camera, renderer;
@@ -13,17 +68,24 @@ let cardMeshes = [];
 let raycaster, mouse;
 let cardTextures = [];
 let cardBackTexture;
-let animating = false;
+const shuffleResources = createResourceTracker('shuffle');  // GPU resources of the cosmic shuffle (see resources.js)
+const cardResources = createResourceTracker('cards');  // GPU resources of the cards on the table, labels and faces
+let resourceReadout = null;  // renderer.info readout shown with ?debug=1
+const readingState = createReadingMachine();  // Where the reading is in its flow (see reading-state.js)
 let hoveredCard = null; // Track which card is currently being hovered
+const timeline = createTimeline();  // Drives every animation, advanced by animate() (see tweens.js)
 
 // Variables for shuffle animation
-let shuffleCards = [];
-let isInitialAnimation = true;
+let shuffleOptions = null;  // Shuffle options with the URL parameters applied (see shuffle.js)
+let shuffleQuality = null;  // How much shuffle this machine can take, lowered when frames are slow
+let activeShuffle = null;   // The cosmic shuffle playing right now, takes the pointer when it is interactive
 
-// Variables for drag detection
-let isDragging = false;
-let mouseDownTime = 0;
-let mouseDownPosition = { x: 0, y: 0 };
+// Variables for pointer gestures (tap, long-press and swipe)
+let activePointer = null;  // The press in progress: start position, time and long-press timer
+const TAP_MOVE_TOLERANCE = 10;  // Pixels a press may move and still count as a tap
+const LONG_PRESS_DELAY = 500;   // Milliseconds of holding still before a card is previewed
+const SWIPE_MIN_DISTANCE = 50;  // Pixels a swipe has to travel
+const SWIPE_MAX_DURATION = 800; // Slower movements are not swipes
 
 // UI elemanlarını (başlık, açıklama ve footer) göster
 function showUIElements() {
@@ -59,28 +121,161 @@ async function init() {
         // Sayfa başlangıcında UI elemanlarını gizle
         hideUIElements();
         
+        // A retry after a failed start begins a fresh load
+        if (!readingState.is('loading')) {
+            readingState.transition('loading');
+        }
+        
         // Load queries from data.json
-        await loadQueriesFromJson();
+        const queryProblem = await loadQueriesFromJson();
+        
+        setupSeed();
+        setupAnimationSpeed();
+        setupShuffle();
+        stylePack = getConfiguredStylePack();
+        contentSource = createConfiguredSource();
+        currentSpread = getConfiguredSpread();
+        setupThemePicker();
+        setupStylePicker();
+        
+        // A shared reading link skips the cosmic shuffle and restores its cards
+        sharedReading = getSharedReading();
+        if (sharedReading) {
+            currentSpread = getSpread(sharedReading.spread);
+        }
+        showSpreadDescription();
         
-        initThreeJS();
-        setupEventListeners();
+        readingEngine = createConfiguredEngine();
         
-        // Reset card counter
-        revealedCardCount = 0;
+        readingRenderer = createReadingRenderer();
+        setupEventListeners();
         
         // Initially hide reset button
         const resetContainer = document.querySelector('.reset-container');
         if (resetContainer) {
             resetContainer.classList.remove('visible');
         }
+        
+        await readingRenderer.load();
+        
+        // The scene lays its cards out with the card back, DOM cards show it through CSS once it has loaded
+        const styling = applyStylePack(stylePack);
+        if (readingRenderer.name === 'webgl') {
+            await styling;
+        } else {
+            styling.catch(error => console.error('Error applying the style:', error));
+        }
+        
+        // Shared readings skip the cosmic shuffle
+        await dealReading(!sharedReading);
+        
+        // A broken data.json is shown once the cards are down, so it is not covered by the shuffle's instructions
+        if (queryProblem && !sharedReading) {
+            showReadingError(queryProblem);
+        }
     } catch (error) {
+        // Tell the reader instead of retrying on our own
         console.error('Initialization failed:', error);
-        // Retry initialization after a short delay
-        setTimeout(init, 1000);
+        failReading(error, 'The cards could not be laid out. Reload the page to try again.');
+    }
+}
+
+// Stop a reading that could not be dealt and tell the reader why
+function failReading(error, fallback) {
+    if (readingState.can('error')) {
+        readingState.transition('error', { error });
+    }
+    showReadingError(describeReadingError(error, fallback));
+    
+    // Once the table is set up a new reading can try again
+    const resetContainer = document.querySelector('.reset-container');
+    if (readingRenderer && resetContainer) {
+        resetContainer.classList.add('visible');
     }
 }
 
-// Load queries from data.json
+// Show a problem with the reading in place of the spread's instructions
+function showReadingError(message) {
+    const subtitle = document.querySelector('.subtitle');
+    if (subtitle) {
+        subtitle.textContent = message;
+        subtitle.classList.add('error');
+    }
+    
+    showUIElements();
+    announce(message);
+}
+
+// Put the spread's instructions back after a problem was shown
+function clearReadingError() {
+    const subtitle = document.querySelector('.subtitle');
+    if (subtitle && subtitle.classList.contains('error')) {
+        showSpreadDescription();
+    }
+}
+
+// Tell the reader what went wrong, in words: Are.na failures (see arena-api.js) get their own message
+function describeReadingError(error, fallback) {
+    if (!(error instanceof ArenaApiError)) {
+        return fallback;
+    }
+    
+    switch (error.kind) {
+        case 'rate-limit':
+            return 'Are.na is receiving too many requests right now. Wait a minute and try again.';
+        case 'timeout':
+        case 'network':
+            return 'Are.na could not be reached. Check your connection and try again.';
+        default:
+            if (error.status === 404) {
+                return 'This card is no longer on Are.na.';
+            }
+            return 'Are.na is having trouble right now. Try again in a moment.';
+    }
+}
+
+// Pick how the reading is shown: the Three.js scene, or DOM cards when WebGL is not
+// available or the reader prefers reduced motion. ?renderer=dom or ?renderer=webgl forces one.
+function createReadingRenderer() {
+    const params = new URLSearchParams(window.location.search);
+    const forced = params.get('renderer');
+    const reducedMotion = Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    
+    const wantsScene = forced === 'webgl' || (forced !== 'dom' && !reducedMotion);
+    if (wantsScene && typeof THREE !== 'undefined') {
+        try {
+            return createSceneRenderer();
+        } catch (error) {
+            console.warn('WebGL is not available, showing the cards without it:', error);
+        }
+    }
+    
+    document.getElementById('canvas-container').hidden = true;
+    return createDomRenderer({
+        container: document.getElementById('dom-table'),
+        timeline,
+        reducedMotion,
+        onActivateCard: index => {
+            if (canInteractWithCards() && !isCardDetailOpen()) {
+                activateCard(index);
+            }
+        }
+    });
+}
+
+// Tell the reader why data.json is not used, with its first problems when it is malformed (see queries.js)
+function describeQueryProblem(error) {
+    const fallback = 'readings draw from a few general queries instead';
+    if (!(error instanceof QueryDataError)) {
+        return `data.json could not be loaded, ${fallback}.`;
+    }
+    
+    const shown = error.problems.slice(0, QUERY_PROBLEMS_SHOWN);
+    const more = error.problems.length - shown.length;
+    return `data.json is malformed: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}. Until it is fixed, ${fallback}.`;
+}
+
+// Load queries from data.json, resolves to a message for the reader when it cannot be used (null when it can)
 async function loadQueriesFromJson() {
     try {
         const response = await fetch('data.json');
@@ -88,72 +283,288 @@ async function loadQueriesFromJson() {
             throw new Error('Failed to load data.json');
         }
         
-        const data = await response.json();
-        
-        // Flatten all query categories into a single array
-        queries = Object.values(data).flat();
+        queryTaxonomy = parseQueryData(await response.json());
         
-        if (queries.length === 0) {
+        if (countQueries(queryTaxonomy) === 0) {
             throw new Error('No queries found in data.json');
         }
         
-        console.log(`Loaded ${queries.length} queries from data.json`);
-        return true;
+        console.log(`Loaded ${countQueries(queryTaxonomy)} queries in ${getQueryThemes(queryTaxonomy).length} categories from data.json`);
+        return null;
     } catch (error) {
-        console.error('Error loading queries from data.json:', error);
+        console.error('Error loading queries from data.json:', error.message);
         // Fallback to some default queries if data.json fails
-        queries = ['art', 'design', 'photography', 'architecture', 'nature'];
-        return false;
+        queryTaxonomy = parseQueryData({ general: ['art', 'design', 'photography', 'architecture', 'nature'] });
+        return describeQueryProblem(error);
     }
 }
 
-// Get random query from loaded queries
+// Get the theme draws are limited to (URL parameter wins over QUERY_THEME)
+function getQueryTheme() {
+    const params = new URLSearchParams(window.location.search);
+    const theme = params.has('theme') ? params.get('theme') : QUERY_THEME;
+    return theme || '';
+}
+
+// Get random query from loaded queries, weighted by category, theme and spread
 function getRandomQuery() {
-    if (queries.length === 0) {
-        return 'art'; // Fallback if no queries loaded
-    }
-    return queries[Math.floor(Math.random() * queries.length)];
+    const picked = pickQuery(queryTaxonomy, {
+        theme: getQueryTheme(),
+        spread: currentSpread ? currentSpread.id : null,
+        random: readingRandom
+    });
+    currentQuery = picked ? picked.query : 'art'; // Fallback if nothing can be drawn
+    return currentQuery;
 }
 
-// Check if content has a valid image
-function hasValidImage(content) {
-    return content.image && 
-           content.image.display && 
-           content.image.display.url;
+// Seed the reading generator from ?seed= or a fresh seed, and show it in the footer
+function setupSeed() {
+    const params = new URLSearchParams(window.location.search);
+    readingSeed = params.get('seed') || createSeed();
+    readingRandom = createSeededRandom(readingSeed);
+    updateSeedLink();
 }
 
-// Fetch random content from Are.na
-async function fetchRandomContent() {
-    try {
-        // Get random query from data.json instead of random letter
-        const randomQuery = getRandomQuery();
-        
-        const searchResponse = await fetch(`${ARENA_API_BASE}/search?q=${encodeURIComponent(randomQuery)}&per=100`);
-        const searchData = await searchResponse.json();
+// Point the footer's seed link at this session with the current URL parameters
+function updateSeedLink() {
+    const seedLink = document.getElementById('reading-seed');
+    if (seedLink) {
+        const params = new URLSearchParams(window.location.search);
+        params.set('seed', readingSeed);
+        seedLink.textContent = readingSeed;
+        seedLink.href = `?${params.toString()}`;
+    }
+}
+
+// Offer the data.json categories as themes in the header, a new theme deals a new reading
+function setupThemePicker() {
+    const picker = document.getElementById('theme-picker');
+    const select = document.getElementById('theme-select');
+    if (!picker || !select) {
+        return;
+    }
+    
+    // Themes only steer the search, local and channel decks have their own cards
+    const themes = getQueryThemes(queryTaxonomy);
+    picker.hidden = Boolean(getLocalDeck()) || getChannelSlugs().length > 0 || themes.length < 2;
+    if (picker.hidden) {
+        return;
+    }
+    
+    select.innerHTML = '';
+    select.appendChild(new Option('All themes', ''));
+    themes.forEach(theme => select.appendChild(new Option(`${theme.name} only`, theme.id)));
+    
+    const current = getQueryTheme();
+    select.value = themes.some(theme => theme.id === current) ? current : '';
+    
+    select.addEventListener('change', () => {
+        // An empty ?theme= keeps "All themes" when QUERY_THEME is set
+        const url = new URL(window.location.href);
+        if (select.value === QUERY_THEME) {
+            url.searchParams.delete('theme');
+        } else {
+            url.searchParams.set('theme', select.value);
+        }
+        window.history.replaceState(null, '', url.toString());
         
-        if (!searchData.blocks || !Array.isArray(searchData.blocks)) {
-            throw new Error('Invalid search data received');
+        // Cards that are still being dealt finish first, the theme applies from the next reading
+        if (readingState.can('resetting')) {
+            resetTarotReading();
         }
+        updateSeedLink();
+    });
+}
 
-        // Filter for blocks with valid images
-        cards = searchData.blocks
-            .filter(hasValidImage)
-            .map(content => ({
-                ...content,
-                position: Math.random()
-            }))
-            .sort((a, b) => a.position - b.position);
-
-        // If no cards found, try another query
-        if (cards.length === 0) {
-            return fetchRandomContent();
+// Pick the style pack from the URL parameters and configuration
+function getConfiguredStylePack() {
+    const params = new URLSearchParams(window.location.search);
+    return getStylePack(params.get('style') || STYLE_PACK);
+}
+
+// Dress the table in a style pack: the page's colours, the card back and the scene
+async function applyStylePack(pack) {
+    const request = ++styleRequest;
+    
+    // The page's colours change straight away, the card back once it has loaded
+    applyStyleVariables(pack);
+    const back = await loadCardBack(pack);
+    
+    // The reader picked another style while this card back loaded
+    if (request !== styleRequest) {
+        if (back) {
+            back.release();
         }
+        return;
+    }
+    
+    if (cardBack) {
+        cardBack.release();
+    }
+    stylePack = pack;
+    cardBack = back;
+    applyStyleVariables(pack, back ? back.url : null);
+    readingRenderer.applyStyle(pack, back);
+}
+
+// Offer the style packs in the header, a new style dresses the cards on the table straight away
+function setupStylePicker() {
+    const picker = document.getElementById('style-picker');
+    const select = document.getElementById('style-select');
+    if (!picker || !select) {
+        return;
+    }
+    
+    const packs = listStylePacks();
+    picker.hidden = packs.length < 2;
+    if (picker.hidden) {
+        return;
+    }
+    
+    select.innerHTML = '';
+    packs.forEach(pack => select.appendChild(new Option(pack.name, pack.id)));
+    select.value = stylePack.id;
+    
+    // The shuffle holds on to the card back, so styles change while the cards lie still
+    const lockWhileDealing = () => {
+        select.disabled = readingState.is('loading', 'shuffling', 'resetting');
+    };
+    readingState.subscribe(lockWhileDealing);
+    lockWhileDealing();
+    
+    select.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        if (select.value === STYLE_PACK) {
+            url.searchParams.delete('style');
+        } else {
+            url.searchParams.set('style', select.value);
+        }
+        window.history.replaceState(null, '', url.toString());
+        updateSeedLink();
         
+        applyStylePack(getStylePack(select.value)).catch(error => {
+            console.error('Error applying the style:', error);
+        });
+    });
+}
+
+// Speed up or slow down every animation with ?speed=, e.g. ?speed=0.5 for slow motion
+function setupAnimationSpeed() {
+    const params = new URLSearchParams(window.location.search);
+    const speed = parseFloat(params.get('speed'));
+    if (speed > 0) {
+        timeline.setTimeScale(speed);
+    }
+}
+
+// Read the shuffle options from the configuration and the URL parameters
+function setupShuffle() {
+    const params = new URLSearchParams(window.location.search);
+    const cardCount = parseInt(params.get('shuffle-cards'), 10);
+    const mode = params.get('shuffle');
+    
+    shuffleOptions = getShuffleOptions({
+        ...SHUFFLE_OPTIONS,
+        ...(cardCount > 0 ? { cardCount } : {}),
+        ...(params.get('adaptive') === 'off' ? { adaptive: false } : {}),
+        ...(mode === 'interactive' || mode === 'cinematic' ? { interactive: mode === 'interactive' } : {})
+    });
+    shuffleQuality = createShuffleQuality(shuffleOptions);
+}
+
+// Get the configured channel slugs (URL parameter wins over CHANNEL_SLUG)
+function getChannelSlugs() {
+    const params = new URLSearchParams(window.location.search);
+    const fromUrl = params.getAll('channel');
+    const source = fromUrl.length > 0 ? fromUrl.join(',') : CHANNEL_SLUG;
+    
+    return source
+        .split(',')
+        .map(slug => slug.trim())
+        .filter(slug => slug.length > 0);
+}
+
+// Decode the ?reading= URL parameter, if any
+function getSharedReading() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('reading');
+    if (!token) {
+        return null;
+    }
+    
+    try {
+        return decodeReading(token);
+    } catch (error) {
+        console.warn('Ignoring shared reading:', error);
+        return null;
+    }
+}
+
+// Get how likely a card is reversed from the URL parameters and configuration
+function getReversalChance() {
+    const value = new URLSearchParams(window.location.search).get('reversals');
+    return value === null ? REVERSAL_CHANCE : parseReversalChance(value);
+}
+
+// Pick the spread from the URL parameters and configuration
+function getConfiguredSpread() {
+    const params = new URLSearchParams(window.location.search);
+    return getSpread(params.get('spread') || SPREAD_ID);
+}
+
+// Create the reading engine for the current spread and content source
+function createConfiguredEngine() {
+    return createReadingEngine({
+        source: contentSource,
+        spread: currentSpread,
+        getQuery: () => currentQuery,
+        random: readingRandom,
+        reversalChance: getReversalChance()
+    });
+}
+
+// Show the spread's instructions as the page subtitle
+function showSpreadDescription() {
+    const subtitle = document.querySelector('.subtitle');
+    if (subtitle) {
+        subtitle.textContent = currentSpread.description;
+        subtitle.classList.remove('error');
+    }
+}
+
+// Get the configured local deck manifest (URL parameter wins over LOCAL_DECK)
+function getLocalDeck() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('deck') || LOCAL_DECK;
+}
+
+// Pick the content source from the URL parameters and configuration
+function createConfiguredSource() {
+    const localDeck = getLocalDeck();
+    const options = { random: readingRandom };
+    if (localDeck) {
+        return createLocalDeckSource(localDeck, options);
+    }
+    
+    const searchSource = createArenaSearchSource({ getQuery: getRandomQuery, ...options });
+    
+    // Channel decks take priority, search is the fallback
+    const channelSlugs = getChannelSlugs();
+    if (channelSlugs.length > 0) {
+        return createFallbackSource([createArenaChannelSource(channelSlugs, options), searchSource]);
+    }
+    
+    return searchSource;
+}
+
+// Fetch random content from the configured source
+async function fetchRandomContent() {
+    try {
+        await contentSource.fetchDeck();
         return true;
-            
     } catch (error) {
         console.error('Error fetching content:', error);
-        throw error; // Re-throw to trigger retry in init()
+        throw error; // Re-throw so the caller can deal without a fresh deck
     }
 }
 
@@ -161,14 +572,13 @@ async function fetchRandomContent() {
 function initThreeJS() {
     // Set up scene
     scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x010101);
+    scene.background = new THREE.Color(stylePack.background);
     
     // Set up camera
     const containerEl = document.getElementById('canvas-container');
     const aspectRatio = containerEl.clientWidth / containerEl.clientHeight;
     camera = new THREE.PerspectiveCamera(-25, aspectRatio, 0.1, 1000); // Daha geniş FOV
-    camera.position.set(0, 12, 16); // Daha uzakta ve biraz daha yüksekte
-    camera.lookAt(0, 0, 0);
+    applySpreadView();
     
     // Set up renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -188,32 +598,11 @@ function initThreeJS() {
     directionalLight.position.set(0, 5, 3);
     scene.add(directionalLight);
     
-    // Load tarot.png as card back texture - completely basic approach
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.load('tarot.png', texture => {
-        // Basic settings, no transformations
-        cardBackTexture = texture;
-        
-        if (isInitialAnimation) {
-            // Create shuffling animation first
-            createShuffleAnimation();
-        } else {
-            // Skip animation and create cards directly
-            createCards();
-        }
-    }, undefined, error => {
-        console.error('Error loading tarot.png:', error);
-        // Simple red color texture as fallback
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 768;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = '#ff0000';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        cardBackTexture = new THREE.CanvasTexture(canvas);
-        createCards();
-    });
+    // Show what the scene holds on the GPU with ?debug=1
+    const debugElement = document.getElementById('debug-readout');
+    if (debugElement && new URLSearchParams(window.location.search).get('debug') === '1') {
+        resourceReadout = createResourceReadout(debugElement, renderer, [shuffleResources, cardResources]);
+    }
     
     // Start animation loop
     animate();
@@ -222,486 +611,295 @@ function initThreeJS() {
     window.addEventListener('resize', onWindowResize);
 }
 
-// Create shuffling animation with many cards
-function createShuffleAnimation() {
-    // Create a simple card geometry for cards with minimal thickness
-    const cardGeometry = new THREE.BoxGeometry(2.2, 3.7, 0.05);
+// Make the card back texture of a style pack, a plain colour when its image did not load
+function createCardBackTexture(pack, back) {
+    if (back) {
+        const texture = new THREE.Texture(back.image);
+        texture.needsUpdate = true;
+        return texture;
+    }
     
-    // Number of cards in the shuffle animation
-    const numShuffleCards = 60; // More cards for more impressive effect
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 768;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = pack.cardBackColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
     
-    // Create edge and back materials
-    const edgeMaterial = new THREE.MeshBasicMaterial({
-        color: 0xeeeeee,
-        side: THREE.FrontSide
-    });
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Give a card on the table the current style's back, edges and label
+function restyleCard(cardGroup) {
+    const materials = cardGroup.userData.cardMesh.material;
     
-    const backMaterial = new THREE.MeshBasicMaterial({
-        map: cardBackTexture,
-        side: THREE.FrontSide
-    });
+    // The four edges share one material (see createCards)
+    materials[0].color.set(stylePack.edgeColor);
+    materials[5].map = cardBackTexture;
+    materials[5].needsUpdate = true;
     
-    // Kozmik kartlar için basit renk dokuları oluştur
-    const createRandomFrontTexture = () => {
-        // Rastgele renk ve doku oluştur
-        const randomHue = Math.random() * 360;
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 768;
-        const ctx = canvas.getContext('2d');
-        
-        // Gradient arka plan
-        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-        gradient.addColorStop(0, `hsl(${randomHue}, 70%, 40%)`);
-        gradient.addColorStop(1, `hsl(${(randomHue + 40) % 360}, 80%, 30%)`);
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Rastgele şekiller/desenler ekle
-        for (let i = 0; i < 10; i++) {
-            ctx.beginPath();
-            ctx.fillStyle = `hsla(${(randomHue + 180) % 360}, 70%, 60%, 0.3)`;
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const radius = 20 + Math.random() * 100;
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.fill();
-        }
-        
-        return new THREE.CanvasTexture(canvas);
-    };
-    
-    // Create materials array for the box
-    const createMaterials = (index) => {
-        // Kozmik kartlar için sadece rastgele doku oluştur, Are.na içeriği kullanma
-        const frontTexture = createRandomFrontTexture();
-        
-        return [
-            edgeMaterial, // right side
-            edgeMaterial, // left side
-            edgeMaterial, // top edge
-            edgeMaterial, // bottom edge
-            new THREE.MeshBasicMaterial({ map: frontTexture, side: THREE.FrontSide }), // front face
-            backMaterial  // back face
-        ];
-    };
-    
-    // Create and position the shuffling cards in a cosmic formation
-    for (let i = 0; i < numShuffleCards; i++) {
-        // Create the card group
-        const cardGroup = new THREE.Group();
-        
-        // Create the card mesh with materials
-        const cardMesh = new THREE.Mesh(cardGeometry, createMaterials(i));
-        cardMesh.name = "ShuffleCard_" + i;
-        
-        // Distribute cards in a spherical galaxy formation
-        // Phi is the angle from the y-axis (0 to PI)
-        const phi = Math.acos(-1 + (2 * i) / numShuffleCards);
-        // Theta is the angle in the x-z plane (0 to 2*PI)
-        const theta = Math.sqrt(numShuffleCards * Math.PI) * phi;
-        
-        // Apply Fibonacci sphere algorithm for even distribution
-        const radius = 20;
-        
-        cardGroup.position.set(
-            radius * Math.sin(phi) * Math.cos(theta),
-            radius * Math.cos(phi),
-            radius * Math.sin(phi) * Math.sin(theta)
-        );
-        
-        // Point cards toward center
-        cardGroup.lookAt(0, 0, 0);
-        
-        // Kartı döndürerek ön yüzü (rastgele doku) kameraya baksın
-        cardMesh.rotation.y = Math.PI;
-        
-        // Add slight random rotation for variety
-        cardGroup.rotation.z = Math.random() * Math.PI * 0.1;
-        
-        cardGroup.name = "ShuffleCardGroup_" + i;
-        
-        // Add card to group
-        cardGroup.add(cardMesh);
-        scene.add(cardGroup);
-        
-        // Store the card for animation
-        shuffleCards.push(cardGroup);
-        
-        // Initial scale - cards will grow from small points
-        cardGroup.scale.set(0.01, 0.01, 0.01);
+    if (cardGroup.userData.label) {
+        createLabelForCard(cardGroup, cardGroup.userData.label);
     }
-    
-    // Start the cosmic animation
-    animateCosmicShuffle();
 }
 
-// Animate the cosmic shuffle of cards
-function animateCosmicShuffle() {
-    animating = true;
+// The Three.js scene as the renderer of the reading (dom-renderer.js lists the calls),
+// throws when WebGL is not available
+function createSceneRenderer() {
+    initThreeJS();
     
-    // First phase: cards appear from nothingness and form cosmic sphere
-    const appearDuration = 3000;
-    const appearStartTime = Date.now();
+    // Faces of the cards about to be drawn, loaded while the shuffle plays
+    const faces = createCardPreloader(createCardFaceTexture, texture => texture.dispose());
     
-    function appearAnimation() {
-        const elapsed = Date.now() - appearStartTime;
-        const progress = Math.min(elapsed / appearDuration, 1);
+    return {
+        name: 'webgl',
         
-        // Custom easing function for cosmic feeling
-        const easedProgress = 1 - Math.pow(1 - progress, 3);
+        // The card back comes with the style pack, see applyStylePack
+        load: () => Promise.resolve(),
         
-        // For each card, grow and start orbiting
-        shuffleCards.forEach((card, i) => {
-            // Grow from small points to full size
-            const scale = 0.01 + easedProgress * 0.99;
-            card.scale.set(scale, scale, scale);
+        applyStyle(pack, back) {
+            scene.background = new THREE.Color(pack.background);
             
-            // Orbit around center
-            const orbitSpeed = 0.2 + (i % 5) * 0.1; // Different speeds
-            const radius = card.position.length();
-            
-            // Original position normalized
-            const normalizedPos = new THREE.Vector3(
-                card.position.x / radius,
-                card.position.y / radius,
-                card.position.z / radius
-            );
-            
-            // Rotate position around different axes
-            const angle = progress * Math.PI * orbitSpeed;
-            
-            // Determine rotation axis based on card index
-            let rotationAxis;
-            if (i % 3 === 0) {
-                // Rotate around y-axis
-                rotationAxis = new THREE.Vector3(0, 1, 0);
-            } else if (i % 3 === 1) {
-                // Rotate around tilted axis
-                rotationAxis = new THREE.Vector3(0.5, 1, 0.5).normalize();
-            } else {
-                // Rotate around z-axis
-                rotationAxis = new THREE.Vector3(0, 0, 1);
+            // The card back is shared by every card and the shuffle, so it is replaced rather than tracked
+            const previous = cardBackTexture;
+            cardBackTexture = createCardBackTexture(pack, back);
+            cardMeshes.forEach(restyleCard);
+            if (previous) {
+                previous.dispose();
+            }
+        },
+        
+        // The camera was placed for the spread the page started with
+        fitSpread: () => applySpreadView(),
+        
+        deal(spread, withShuffle, deckCards) {
+            if (withShuffle) {
+                return createShuffleAnimation(deckCards);
             }
             
-            // Apply rotation to position
-            const rotatedPos = normalizedPos.clone().applyAxisAngle(rotationAxis, angle);
-            
-            // Update position
-            card.position.set(
-                rotatedPos.x * radius,
-                rotatedPos.y * radius,
-                rotatedPos.z * radius
-            );
+            createCards();
+            return Promise.resolve([]);
+        },
+        
+        async prepareCard(index, card, reversed) {
+            const cardGroup = cardMeshes[index];
             
-            // Keep cards facing center
-            card.lookAt(0, 0, 0);
+            // Store the card's texture to use when flipping
+            cardGroup.userData.targetTexture = cardResources.track(await faces.take(card));
+            cardGroup.userData.reversed = reversed;
             
-            // Add slight wobble to rotation
-            card.rotation.z += Math.sin(progress * Math.PI * 10 + i) * 0.01;
-        });
+            // Store the original block URL (local decks may have none)
+            cardGroup.userData.arenaUrl = card.url;
+        },
         
-        if (progress < 1) {
-            requestAnimationFrame(appearAnimation);
-        } else {
-            // When cosmic animation is complete, directly select four cards
-            setTimeout(selectAndPlaceFourCards, 300);
-        }
-    }
-    
-    // Start the appearance animation
-    appearAnimation();
-    
-    // Select four cards and place them in position
-    function selectAndPlaceFourCards() {
-        // Select 4 random cards from the cosmic formation to keep
-        const numCardsToKeep = 4;
-        const cardsToKeep = [];
-        const cardsToRemove = [...shuffleCards]; // Start with all cards marked for removal
-        
-        // Calculate positions for the 4 cards
-        const spacing = 1.2;
-        const cardWidth = 2;
-        const totalWidth = numCardsToKeep * (cardWidth + spacing) - spacing;
-        
-        // Final positions for the 4 cards from left to right
-        const finalPositions = [];
-        for (let i = 0; i < numCardsToKeep; i++) {
-            finalPositions.push({
-                x: i * (cardWidth + spacing) - totalWidth / 2 + cardWidth/2,
-                y: 0,
-                z: 0
-            });
-        }
+        flipCard: (index, label) => animateCardFlip(cardMeshes[index], label),
         
-        // Kozmik oluşumdan 4 adet rastgele kart seç
-        for (let i = 0; i < numCardsToKeep; i++) {
-            if (cardsToRemove.length > 0) {
-                const randomIndex = Math.floor(Math.random() * cardsToRemove.length);
-                const selectedCard = cardsToRemove.splice(randomIndex, 1)[0];
-                
-                // Seçilen kartı işaretle
-                selectedCard.userData.positionIndex = i;
-                selectedCard.userData.selected = true;
-                
-                // Seçilen kartı büyüt ve parlat (görsel gösterim) 
-                selectedCard.scale.set(1.5, 1.5, 1.5); // Seçilmiş kartları büyüt
-                
-                // Kartın ön yüzünü gizle (kademeli olarak), tarot desenini göster
-                // Kozmik kartlardan tarot düzenine geçişi sağlayacak
-                if (selectedCard.children[0]) {
-                    // Bir animasyon oluştur, ön yüzü kadameli olarak gizle
-                    animateCardFlipToBack(selectedCard.children[0]);
-                }
-                
-                cardsToKeep.push(selectedCard);
+        async showCard(index, card, label, reversed) {
+            const cardGroup = cardMeshes[index];
+            const texture = cardResources.track(await faces.take(card));
+            cardGroup.userData.arenaUrl = card.url;
+            cardGroup.userData.reversed = reversed;
+            
+            // Lay the card face up straight away, keeping its slot rotation
+            applyCardFace(cardGroup.userData.cardMesh, texture, reversed);
+            cardGroup.rotation.x = 0;
+            
+            if (label) {
+                createLabelForCard(cardGroup, label);
             }
-        }
+        },
         
-        // Tüm animasyonları aynı anda başlat
+        preloadCards: cards => faces.preload(cards),
         
-        // 1. Seçilmeyen kartların uçuş animasyonunu başlat
-        cardsToRemove.forEach(card => {
-            flyAwayCard(card);
-        });
+        clear() {
+            faces.clear();
+            return clearCards();
+        },
         
-        // 2. Aynı anda seçilen kartları pozisyonlandır
-        moveSelectedCardsToPosition(cardsToKeep);
+        highlightCard: index => setHoveredCard(cardMeshes[index] || null)
+    };
+}
+
+// Move the camera back far enough for the current spread to fit
+// (starting from the spread's own view distance and backing off until it fits)
+function applySpreadView() {
+    const slots = getSceneSlots();
+    let view = currentSpread.view || 1;
+    
+    for (let i = 0; i < 40 && !spreadFitsView(slots, view); i++) {
+        view *= 1.05;
     }
+}
+
+// Place the camera at a view distance and check every card (with its label) is on screen
+function spreadFitsView(slots, view) {
+    camera.position.set(0, 12 * view, 16 * view); // Daha uzakta ve biraz daha yüksekte
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
     
-    // Kartın ön yüzünü arka yüze çeviren animasyon
-    function animateCardFlipToBack(cardMesh) {
-        const flipDuration = 800; // ms
-        const flipStartTime = Date.now();
-        const startRotY = cardMesh.rotation.y; // Başlangıç rotasyonu (genelde PI - ön yüz görünür)
-        const targetRotY = 0; // Hedef rotasyon (0 - arka yüz görünür)
-        
-        function updateFlip() {
-            const elapsed = Date.now() - flipStartTime;
-            const progress = Math.min(elapsed / flipDuration, 1);
-            
-            // Yumuşak geçiş için easing fonksiyonu
-            const easedProgress = 1 - Math.pow(1 - progress, 2);
-            
-            // Kartın Y ekseni rotasyonunu güncelle (ön yüzden arka yüze)
-            cardMesh.rotation.y = startRotY + (targetRotY - startRotY) * easedProgress;
-            
-            if (progress < 1) {
-                requestAnimationFrame(updateFlip);
-            }
+    // Half the card width and half its height plus the label, generous enough for rotated cards
+    const halfWidth = 1.2;
+    const halfHeight = 2.4;
+    const corner = new THREE.Vector3();
+    
+    return slots.every(slot => [[-1, -1], [-1, 1], [1, -1], [1, 1]].every(([sx, sy]) => {
+        corner.set(slot.x + sx * halfWidth, slot.y + sy * halfHeight, slot.z).project(camera);
+        return Math.abs(corner.x) <= 0.95 && Math.abs(corner.y) <= 0.9;
+    }));
+}
+
+// Check whether the canvas is a narrow portrait screen
+function isPortraitLayout() {
+    const containerEl = document.getElementById('canvas-container');
+    return containerEl.clientWidth < containerEl.clientHeight;
+}
+
+// Get the slots of the current spread for this screen, converted to scene coordinates.
+// The camera's negative FOV shows the scene rotated by 180 degrees, so screen
+// right and up are scene -x and -y.
+function getSceneSlots() {
+    return getSpreadSlots(currentSpread, isPortraitLayout()).map(slot => ({
+        x: -slot.x,
+        y: -slot.y,
+        z: slot.z || 0,
+        rotation: slot.rotation || 0
+    }));
+}
+
+// Move the dealt cards to the slots for the current screen orientation
+function layoutCards() {
+    const slots = getSceneSlots();
+    
+    cardMeshes.forEach((cardGroup, i) => {
+        const slot = slots[i];
+        if (slot) {
+            cardGroup.position.set(slot.x, slot.y, slot.z);
+            cardGroup.rotation.z = slot.rotation;
         }
-        
-        updateFlip();
+    });
+}
+
+// Play the cosmic shuffle (see shuffle.js) showing the deck's cards, then lay the real cards into the slots it filled.
+// Resolves to the ids of the cards the reader pulled out of an interactive shuffle
+function createShuffleAnimation(deckCards) {
+    activeShuffle = startCosmicShuffle({
+        scene,
+        timeline,
+        backTexture: cardBackTexture,
+        edgeColor: stylePack.edgeColor,
+        resources: shuffleResources,
+        slots: getSceneSlots(),
+        options: shuffleOptions,
+        quality: shuffleQuality,
+        cards: deckCards,
+        onPull: (card, count, total) => {
+            showShuffleInstructions(count, total);
+            announce(`Card ${count} of ${total} drawn.`);
+        }
+    });
+    
+    if (activeShuffle.interactive) {
+        document.getElementById('canvas-container').style.cursor = 'grab';
+        showShuffleInstructions(0, currentSpread.slots.length);
+        announce('Drag to spin the cards, hold to shuffle them, and tap a card to draw it. Press Enter to draw the card nearest to you.');
     }
     
-    // Function to make a card fly away
-    function flyAwayCard(card, callback) {
-        const flyDuration = 500 + Math.random() * 200; // Reduced from 700+300ms to 500+200ms
-        const flyStartTime = Date.now();
-        
-        // Random target position off-screen
-        const targetPos = {
-            x: (Math.random() - 0.5) * 30,
-            y: -10 - Math.random() * 5,
-            z: (Math.random() - 0.5) * 30
-        };
-        
-        const startPos = {
-            x: card.position.x,
-            y: card.position.y,
-            z: card.position.z
-        };
-        
-        function flyAway() {
-            const elapsed = Date.now() - flyStartTime;
-            const progress = Math.min(elapsed / flyDuration, 1);
-            
-            // Easing function
-            const easedProgress = progress < 0.5
-                ? 4 * progress * progress * progress
-                : 1 - Math.pow(-2 * progress + 2, 3) / 2;
-            
-            // Update position
-            card.position.x = startPos.x + (targetPos.x - startPos.x) * easedProgress;
-            card.position.y = startPos.y + (targetPos.y - startPos.y) * easedProgress;
-            card.position.z = startPos.z + (targetPos.z - startPos.z) * easedProgress;
-            
-            // Add some rotation
-            card.rotation.x += 0.03;
-            card.rotation.y += 0.02;
-            card.rotation.z += 0.04;
-            
-            // Fade out by scaling down
-            const fadeScale = 1 - easedProgress * 0.8;
-            card.scale.set(fadeScale, fadeScale, fadeScale);
-            
-            if (progress < 1) {
-                requestAnimationFrame(flyAway);
-            } else {
-                // Remove the card from the scene
-                scene.remove(card);
-                
-                // İşlem tamamlandıysa callback'i çağır
-                if (callback) callback();
-            }
-        }
+    return activeShuffle.finished.then(pulledIds => {
+        activeShuffle = null;
+        document.getElementById('canvas-container').style.cursor = 'default';
+        createCards();
         
-        // Uçuş animasyonunu hemen başlat (gecikme olmadan)
-        flyAway();
+        // The shuffle has left the scene, free its geometry, materials and atlas
+        shuffleResources.dispose();
+        return pulledIds;
+    });
+}
+
+// Tell the reader how to pull their cards out of the interactive shuffle, and how many they have
+function showShuffleInstructions(count, total) {
+    const subtitle = document.querySelector('.subtitle');
+    if (subtitle) {
+        subtitle.textContent = `Drag to spin the cards, hold to shuffle, tap a card to draw it (${count} of ${total})`;
+        subtitle.classList.remove('error');
     }
+    showUIElements();
+}
+
+// Check whether the reader is pulling cards out of an interactive shuffle
+function isPullingCards() {
+    return Boolean(activeShuffle && activeShuffle.interactive);
+}
+
+// Lay out a new reading, with the cosmic shuffle first or with the cards straight on the table
+async function dealReading(withShuffle) {
+    // In an interactive shuffle the reader pulls the cards, so they are dealt once it is over
+    const pulling = withShuffle && !sharedReading && shuffleOptions.interactive;
+    const dealCards = pulledIds => readingEngine.deal(pulledIds).then(() => {
+        // Load the faces of the dealt cards ahead, so flips do not wait on the network
+        readingRenderer.preloadCards(readingEngine.getUpcomingCards());
+    });
     
-    // Function to move selected cards to final position
-    function moveSelectedCardsToPosition(selectedCards) {
-        // Sort the cards by their position index to ensure they animate to correct positions
-        selectedCards.sort((a, b) => a.userData.positionIndex - b.userData.positionIndex);
-        
-        // Tarot kartları için final pozisyonları tanımla
-        const spacing = 1.2;
-        const cardWidth = 2;
-        const totalWidth = selectedCards.length * (cardWidth + spacing) - spacing;
-        
-        // Final positions for the cards from left to right
-        const finalPositions = [];
-        for (let i = 0; i < selectedCards.length; i++) {
-            finalPositions.push({
-                x: i * (cardWidth + spacing) - totalWidth / 2 + cardWidth/2,
-                y: 0,
-                z: 0
-            });
-        }
-        
-        // Seçilen kartlar için bir süre izle
-        let animationsComplete = 0;
-        const totalCards = selectedCards.length;
-        
-        // Animate the selected cards moving to their final positions
-        selectedCards.forEach((card, i) => {
-            // Animate card moving to final position based on its assigned position index
-            const posIndex = card.userData.positionIndex;
-            const moveDuration = 600; // Reduced from 1000ms to 600ms
-            const moveStartTime = Date.now();
-            
-            const startPos = {
-                x: card.position.x,
-                y: card.position.y,
-                z: card.position.z
-            };
-            
-            const startRot = {
-                x: card.rotation.x,
-                y: card.rotation.y,
-                z: card.rotation.z
-            };
-            
-            // Başlangıç ölçeği (büyütülmüş kartlar normal boyuta dönecek)
-            const startScale = {
-                x: card.scale.x,
-                y: card.scale.y,
-                z: card.scale.z
-            };
-            
-            // Kartın ön yüzünü gizle, arka yüzü göster (tarot deseni)
-            if (card.children[0] && card.children[0].rotation) {
-                // Kartın mesh'inin rotasyonunu sıfırla - artık ön yüzü (Are.na içeriği) görünmesin
-                // Böylece arka yüzü (tarot deseni) görünecek
-                card.children[0].rotation.y = 0;
-            }
-            
-            function moveToPosition() {
-                const elapsed = Date.now() - moveStartTime;
-                const progress = Math.min(elapsed / moveDuration, 1);
-                
-                // Easing function for smooth movement
-                const easedProgress = 1 - Math.pow(1 - progress, 3);
-                
-                // Arc motion for a more natural movement
-                const arcHeight = 4 * Math.sin(progress * Math.PI);
-                
-                // Use the card's position index to determine its final position
-                const finalPos = finalPositions[posIndex];
-                
-                // Update position with arc motion
-                card.position.x = startPos.x + (finalPos.x - startPos.x) * easedProgress;
-                card.position.y = startPos.y + (finalPos.y - startPos.y) * easedProgress + arcHeight;
-                card.position.z = startPos.z + (finalPos.z - startPos.z) * easedProgress;
-                
-                // Update rotation to face down - kartın arka yüzü üstte olacak
-                card.rotation.x = startRot.x + (Math.PI - startRot.x) * easedProgress;
-                card.rotation.y = startRot.y + (0 - startRot.y) * easedProgress;
-                card.rotation.z = startRot.z + (0 - startRot.z) * easedProgress;
-                
-                // Kartları normal boyuta getir (1.5'ten 1.0'a)
-                const targetScale = 1.0;
-                card.scale.x = startScale.x + (targetScale - startScale.x) * easedProgress;
-                card.scale.y = startScale.y + (targetScale - startScale.y) * easedProgress;
-                card.scale.z = startScale.z + (targetScale - startScale.z) * easedProgress;
-                
-                if (progress < 1) {
-                    requestAnimationFrame(moveToPosition);
-                } else {
-                    // Her tamamlanan animasyonu say
-                    animationsComplete++;
-                    
-                    // Tüm animasyonlar tamamlandığında kozmik kartları temizle
-                    if (animationsComplete >= totalCards) {
-                        // Asıl kartları şimdi oluştur
-                        createCards();
-                        
-                        // Tüm kozmik kartları temizle
-                        for (let i = shuffleCards.length - 1; i >= 0; i--) {
-                            scene.remove(shuffleCards[i]);
-                        }
-                        // Diziyi boşalt
-                        shuffleCards = [];
-                        
-                        // Animasyon tamamlandı
-                        animating = false;
-                        
-                        // UI elemanlarını göster
-                        showUIElements();
-                    }
-                }
-            }
-            
-            // Start moving to position immediately
-            moveToPosition();
-        });
+    // Shared readings bring their own cards (see restoreSharedReading), new ones are drawn while the cards are dealt
+    const dealing = sharedReading || pulling ? Promise.resolve() : dealCards();
+    
+    // A failed draw is reported once the cards have landed
+    dealing.catch(() => {});
+    
+    // The shuffle shows the cards of the deck being shuffled, once the deck is loaded
+    const deckCards = withShuffle ? dealing.then(() => contentSource.sampleCards(SHUFFLE_DECK_CARDS)) : Promise.resolve([]);
+    deckCards.catch(() => {});
+    
+    if (withShuffle) {
+        readingState.transition('shuffling');
+    }
+    const pulledIds = await readingRenderer.deal(currentSpread, withShuffle, deckCards) || [];
+    await (pulling ? dealCards(pulledIds) : dealing);
+    if (pulling) {
+        showSpreadDescription();
+    }
+    
+    refreshCardProxies();
+    announce(`${currentSpread.slots.length} cards dealt. ${currentSpread.description}.`);
+    
+    // UI elemanlarını göster
+    showUIElements();
+    
+    if (sharedReading) {
+        await restoreSharedReading();
+    } else {
+        readingState.transition('dealt');
     }
 }
 
 // Create the cards laid out on a flat surface
 function createCards() {
     // Create a simple box geometry for cards with minimal thickness
-    const cardGeometry = new THREE.BoxGeometry(2, 3.5, 0.05); // Hafif küçültülmüş kartlar
+    const cardGeometry = cardResources.track(new THREE.BoxGeometry(2, 3.5, 0.05)); // Hafif küçültülmüş kartlar
     
-    // Create 4 cards arranged in a single row (instead of 6)
-    const numCards = 4;
-    const spacing = 1.2; // Kartlar arası daha fazla boşluk
-    
-    // Calculate total width of the row
-    const totalWidth = numCards * (2 + spacing) - spacing;
+    // Create one card per slot of the current spread
+    const slots = getSceneSlots();
     
     // Create and position cards
-    for (let i = 0; i < numCards; i++) {
+    for (let i = 0; i < slots.length; i++) {
         // Create a group to hold the card
         const cardGroup = new THREE.Group();
         
         // Create front and back materials
-        const frontMaterial = new THREE.MeshBasicMaterial({
+        const frontMaterial = cardResources.track(new THREE.MeshBasicMaterial({
             color: 0xffffff, // White front (will be replaced with Arena image)
             side: THREE.FrontSide
-        });
+        }));
         
-        const backMaterial = new THREE.MeshBasicMaterial({
+        const backMaterial = cardResources.track(new THREE.MeshBasicMaterial({
             map: cardBackTexture,
             side: THREE.FrontSide
-        });
+        }));
         
         // Create a simple edge material
-        const edgeMaterial = new THREE.MeshBasicMaterial({
-            color: 0xeeeeee,
+        const edgeMaterial = cardResources.track(new THREE.MeshBasicMaterial({
+            color: stylePack.edgeColor,
             side: THREE.FrontSide
-        });
+        }));
         
         // Create materials array for the box
         const materials = [
@@ -717,15 +915,14 @@ function createCards() {
         const cardMesh = new THREE.Mesh(cardGeometry, materials);
         cardMesh.name = "Card_" + i;
         
-        // Calculate position - arrange in a single row
-        const x = i * (2 + spacing) - totalWidth / 2 + 2/2;
-        
-        // Position card face down on the "table"
-        cardGroup.position.set(x, 0, 0);
+        // Position card face down on the "table" at its spread slot
+        const slot = slots[i];
+        cardGroup.position.set(slot.x, slot.y, slot.z);
         
         // Rotate card to face down with tarot back facing up
         // We'll flip the card 180 degrees around X axis
         cardGroup.rotation.x = Math.PI; // 180 degrees around X axis
+        cardGroup.rotation.z = slot.rotation;
         
         cardGroup.name = "CardGroup_" + i;
         
@@ -736,8 +933,6 @@ function createCards() {
         cardGroup.userData = { 
             id: i,
             flipped: false,
-            selected: false,
-            revealed: false,  // Card starts as not revealed
             cardMesh: cardMesh,  // Keep reference to actual mesh for texture updates
             arenaUrl: null  // Initialize arenaUrl
         };
@@ -752,15 +947,6 @@ function createCards() {
         scene.add(cardGroup);
         cardMeshes.push(cardGroup);
     }
-    
-    // Instead of animating cards entry, position them directly
-    cardMeshes.forEach((cardGroup) => {
-        // Set final position directly - no animation
-        cardGroup.position.y = 0;
-    });
-    
-    // Mark animation as complete
-    animating = false;
 }
 
 // Handle window resize
@@ -772,149 +958,84 @@ function onWindowResize() {
     camera.aspect = width / height;
     camera.updateProjectionMatrix();
     renderer.setSize(width, height);
+    
+    // Switching between portrait and landscape can change the layout of the spread
+    layoutCards();
+    applySpreadView();
 }
 
 // Animation loop
-function animate() {
+function animate(now) {
     requestAnimationFrame(animate);
+    
+    // Advance every running animation, then draw the frame
+    const time = now === undefined ? performance.now() : now;
+    timeline.update(time);
     renderer.render(scene, camera);
+    
+    if (resourceReadout) {
+        resourceReadout.update(time);
+    }
 }
 
 // Flip a card and show image
 function flipCard(cardIndex) {
-    if (animating) return;
-    
-    const cardGroup = cardMeshes[cardIndex];
-    if (!cardGroup) {
-        console.error("Card group not found:", cardIndex);
+    // All positions are filled, highlight the reset button instead of showing a refresh message
+    if (readingState.is('complete')) {
+        highlightResetButton();
         return;
     }
     
-    // Check if card is already revealed (one-time only)
-    if (cardGroup.userData.revealed) {
-        return;
-    }
+    // One card at a time, and never while the table is being dealt or cleared
+    if (!readingState.can('revealing')) return;
     
-    // Check if maximum number of cards have been revealed
-    if (revealedCardCount >= MAX_REVEALED_CARDS) {
-        // Instead of showing refresh message, highlight the reset button
-        highlightResetButton();
+    if (cardIndex < 0 || cardIndex >= readingEngine.getSlots().length) {
+        console.error("Card not found:", cardIndex);
         return;
     }
     
-    // Get the actual card mesh
-    const cardMesh = cardGroup.userData.cardMesh;
-    if (!cardMesh) {
-        console.error("Card mesh not found in group:", cardGroup.name);
+    // Check if card is already revealed (one-time only)
+    if (readingEngine.isRevealed(cardIndex)) {
         return;
     }
     
-    // Mark card as selected and permanently revealed
-    cardGroup.userData.selected = true;
-    cardGroup.userData.revealed = true;
-    
-    // Increment the revealed card counter
-    revealedCardCount++;
-    
-    // Get the appropriate label based on revealed count
-    let label;
-    switch (revealedCardCount) {
-        case 1:
-            label = "Past";
-            break;
-        case 2:
-            label = "Present";
-            break;
-        case 3:
-            label = "Future";
-            break;
-        default:
-            label = "";
-    }
+    readingState.transition('revealing', { cardIndex });
     
-    // Tıklandığında Are.na'dan içerik çek
-    fetchSingleCardContent().then(cardData => {
-        if (cardData && cardData.image && cardData.image.display && cardData.image.display.url) {
-            const imageUrl = cardData.image.display.url;
-            
-            // Store the original Are.na URL
-            const arenaUrl = `https://www.are.na/block/${cardData.id}`;
-            cardGroup.userData.arenaUrl = arenaUrl;
+    // A new try replaces the message of one that failed
+    clearReadingError();
+    updateCardProxyLabel(cardIndex, getCardProxyLabel(cardIndex));
+    
+    // Tıklandığında içerik kaynağından kart çek (the engine also picks its label, see reading-engine.js)
+    // Images load directly, other block kinds get a generated face (see card-faces.js)
+    readingEngine.reveal(cardIndex, revealed => readingRenderer.prepareCard(cardIndex, revealed.card, revealed.reversed)).then(revealed => {
+        // Start the flip animation - the face shows halfway through
+        return readingRenderer.flipCard(cardIndex, revealed.label).then(() => {
+            updateCardProxyLabel(cardIndex, getCardProxyLabel(cardIndex));
+            announceRevealedCard(cardIndex);
             
-            loadCardTexture(imageUrl).then(texture => {
-                // Store the card's current texture to use when flipping
-                cardGroup.userData.targetTexture = texture;
-                cardGroup.userData.label = label;  // Store the label
-                
-                // Start the flip animation - the texture will be set halfway through
-                animateCardFlip(cardGroup);
-                
-                // Check if we've reached the limit after successful flip
-                if (revealedCardCount >= MAX_REVEALED_CARDS) {
-                    setTimeout(() => {
-                        // Instead of showing refresh message, highlight the reset button
-                        highlightResetButton();
-                    }, 1000); // Wait for flip animation to complete
-                }
-            }).catch(error => {
-                console.error('Error loading texture:', error);
-                cardGroup.userData.revealed = false; // Reset selection on error
-                cardGroup.userData.selected = false;
-                revealedCardCount--; // Decrement counter on failure
-            });
-        } else {
-            console.error("No valid image found in card data");
-            cardGroup.userData.revealed = false; // Reset selection
-            cardGroup.userData.selected = false;
-            revealedCardCount--; // Decrement counter on failure
-        }
+            // The reading is complete once every position has a card (see completeReading)
+            readingState.transition(readingEngine.isComplete() ? 'complete' : 'dealt');
+        });
     }).catch(error => {
-        console.error('Error fetching card content:', error);
-        cardGroup.userData.revealed = false;
-        cardGroup.userData.selected = false;
-        revealedCardCount--;
+        console.error('Error revealing card:', error);
+        cancelReveal(cardIndex, error);
     });
 }
 
-// Tek bir kart için Are.na içeriği çek
-async function fetchSingleCardContent() {
-    try {
-        // Eğer daha önce içerik çekilmişse, onlardan birini kullan
-        if (cards && cards.length > 0) {
-            const randomIndex = Math.floor(Math.random() * cards.length);
-            return cards[randomIndex];
-        }
-        
-        // İlk kez çekiyorsak, API'ye git
-        const randomQuery = getRandomQuery();
-        
-        const searchResponse = await fetch(`${ARENA_API_BASE}/search?q=${encodeURIComponent(randomQuery)}&per=10`); // Sadece 10 içerik çek
-        const searchData = await searchResponse.json();
-        
-        if (!searchData.blocks || !Array.isArray(searchData.blocks)) {
-            throw new Error('Invalid search data received');
-        }
-
-        // Filter for blocks with valid images
-        cards = searchData.blocks
-            .filter(hasValidImage)
-            .map(content => ({
-                ...content,
-                position: Math.random()
-            }))
-            .sort((a, b) => a.position - b.position);
-
-        // If no cards found, try another query
-        if (cards.length === 0) {
-            return fetchSingleCardContent();
-        }
-        
-        const randomIndex = Math.floor(Math.random() * cards.length);
-        return cards[randomIndex];
-    } catch (error) {
-        console.error('Error fetching content:', error);
-        throw error;
+// Put a card back face down after its reveal failed
+function cancelReveal(cardIndex, error) {
+    // The error may come from a listener of the move to complete, the reading has moved on then
+    if (readingState.is('revealing')) {
+        readingState.transition('dealt');
     }
+    
+    updateCardProxyLabel(cardIndex, getCardProxyLabel(cardIndex));
+    showReadingError(describeReadingError(error, 'The card could not be revealed, try again.'));
+}
+
+// Check whether a card lies face up with its content
+function isCardRevealed(cardGroup) {
+    return readingEngine.isRevealed(cardGroup.userData.id);
 }
 
 // Load a texture from URL - simple, basic approach
@@ -929,15 +1050,25 @@ function loadCardTexture(url) {
     });
 }
 
-// Animate card flip
-function animateCardFlip(cardGroup) {
-    animating = true;
-    
-    const startRotX = cardGroup.rotation.x;
-    const targetRotX = 0; // Flip to face up (0 degrees)
-    const duration = 800;
-    const startTime = Date.now();
-    
+// Put a texture on the front face of a card mesh, upside down for reversed cards
+function applyCardFace(cardMesh, texture, reversed = false) {
+    // Update the front face material (index 4 in the materials array)
+    if (Array.isArray(cardMesh.material) && cardMesh.material.length > 4) {
+        // Fix the texture rotation before applying it
+        texture.center.set(0.5, 0.5);
+        texture.rotation = reversed ? 0 : Math.PI; // Rotate 180 degrees to fix orientation (reversed cards stay upside down)
+        texture.needsUpdate = true;
+        
+        // Now apply the rotated texture
+        cardMesh.material[4].map = texture;
+        cardMesh.material[4].needsUpdate = true;
+    } else {
+        console.error("Card material structure not as expected");
+    }
+}
+
+// Animate card flip, resolves when the card lies face up
+function animateCardFlip(cardGroup, label) {
     // Get the card mesh
     const cardMesh = cardGroup.userData.cardMesh;
     
@@ -945,63 +1076,36 @@ function animateCardFlip(cardGroup) {
     const targetTexture = cardGroup.userData.targetTexture;
     let textureChanged = false;
     
-    // Get the label for this card
-    const label = cardGroup.userData.label;
-    
-    function updateCardRotation() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        // Easing function (ease-in-out)
-        const easedProgress = progress < 0.5
-            ? 2 * progress * progress
-            : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-        
-        // Update rotation
-        cardGroup.rotation.x = startRotX + (targetRotX - startRotX) * easedProgress;
-        
-        // When card is perpendicular to camera (halfway through animation),
-        // change the texture
-        if (progress >= 0.5 && !textureChanged && targetTexture) {
-            // Update the front face material (index 4 in the materials array)
-            if (Array.isArray(cardMesh.material) && cardMesh.material.length > 4) {
-                // Fix the texture rotation before applying it
-                targetTexture.center.set(0.5, 0.5);
-                targetTexture.rotation = Math.PI; // Rotate 180 degrees to fix orientation
-                targetTexture.needsUpdate = true;
-                
-                // Now apply the rotated texture
-                cardMesh.material[4].map = targetTexture;
-                cardMesh.material[4].needsUpdate = true;
-            } else {
-                console.error("Card material structure not as expected");
+    return timeline.tween({
+        target: cardGroup.rotation,
+        to: { x: 0 }, // Flip to face up (0 degrees)
+        duration: 800,
+        easing: 'easeInOutQuad',
+        onUpdate: (easedProgress, progress) => {
+            // When card is perpendicular to camera (halfway through animation),
+            // change the texture
+            if (progress >= 0.5 && !textureChanged && targetTexture) {
+                applyCardFace(cardMesh, targetTexture, cardGroup.userData.reversed);
+                textureChanged = true;
             }
-            
-            textureChanged = true;
+        }
+    }).then(completed => {
+        if (!completed) {
+            return;
         }
         
-        if (progress < 1) {
-            requestAnimationFrame(updateCardRotation);
-        } else {
-            animating = false;
-            
-            // Animation is complete, add the label text
-            if (label) {
-                createLabelForCard(cardGroup, label);
-            }
+        // Animation is complete, add the label text
+        if (label) {
+            createLabelForCard(cardGroup, label);
         }
-    }
-    
-    updateCardRotation();
+    });
 }
 
 // Create a mystical label beneath the card
 function createLabelForCard(cardGroup, text) {
     // Cleanup any existing label
-    cardGroup.children.forEach(child => {
-        if (child.isTextLabel || child.isArenaLink) {
-            cardGroup.remove(child);
-        }
-    });
+    cardGroup.children.filter(child => child.isTextLabel || child.isArenaLink).forEach(removeCardOverlay);
+    cardGroup.userData.label = text;
     
     // Create canvas for the text
     const canvas = document.createElement('canvas');
@@ -1009,29 +1113,36 @@ function createLabelForCard(cardGroup, text) {
     canvas.height = 64;
     const context = canvas.getContext('2d');
     
-    // Set up gradient background
+    // Set up gradient background in the style's colour
+    const { label } = stylePack;
     const gradient = context.createLinearGradient(0, 0, canvas.width, 0);
     gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(0.2, 'rgba(138, 43, 226, 0.7)'); // BlueViolet with transparency
-    gradient.addColorStop(0.8, 'rgba(138, 43, 226, 0.7)'); // BlueViolet with transparency
+    gradient.addColorStop(0.2, label.gradient);
+    gradient.addColorStop(0.8, label.gradient);
     gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
     
     context.fillStyle = gradient;
     context.fillRect(0, 0, canvas.width, canvas.height);
     
-    // Draw the text - Use 'Cormorant Unicase' instead of 'DM Sans'
-    context.font = 'bold 32px "Cormorant Unicase", cursive';
+    // Draw the text in the style's font
+    // Long labels (e.g. "Hopes & Fears · Reversed") get a smaller font to fit
+    let fontSize = 32;
+    context.font = `bold ${fontSize}px ${label.font}`;
+    while (fontSize > 16 && context.measureText(text).width > canvas.width * 0.85) {
+        fontSize -= 2;
+        context.font = `bold ${fontSize}px ${label.font}`;
+    }
     context.textAlign = 'center';
     context.textBaseline = 'middle';
     
     // Add a glow effect
-    context.shadowColor = 'gold';
+    context.shadowColor = label.glow;
     context.shadowBlur = 10;
-    context.fillStyle = 'white';
+    context.fillStyle = label.color;
     context.fillText(text, canvas.width / 2, canvas.height / 2);
     
     // Create a texture from the canvas
-    const texture = new THREE.CanvasTexture(canvas);
+    const texture = cardResources.track(new THREE.CanvasTexture(canvas));
     
     // Rotate the texture's UVs to fix the orientation
     texture.center.set(0.5, 0.5);
@@ -1039,14 +1150,14 @@ function createLabelForCard(cardGroup, text) {
     texture.needsUpdate = true;
     
     // Create a material using the texture
-    const material = new THREE.MeshBasicMaterial({
+    const material = cardResources.track(new THREE.MeshBasicMaterial({
         map: texture,
         transparent: true,
         opacity: 0 // Start invisible for animation
-    });
+    }));
     
     // Create a plane geometry for the label (larger to match larger cards)
-    const geometry = new THREE.PlaneGeometry(2.2, 0.6);
+    const geometry = cardResources.track(new THREE.PlaneGeometry(2.2, 0.6));
     const labelMesh = new THREE.Mesh(geometry, material);
     labelMesh.isTextLabel = true;
     
@@ -1066,6 +1177,16 @@ function createLabelForCard(cardGroup, text) {
     }
 }
 
+// Take a label or link indicator off a card and free its GPU resources
+function removeCardOverlay(overlay) {
+    if (overlay.parent) {
+        overlay.parent.remove(overlay);
+    }
+    cardResources.release(overlay.geometry);
+    cardResources.release(overlay.material.map);
+    cardResources.release(overlay.material);
+}
+
 // Create a visual indicator for an Are.na link on the card
 function createArenaLinkIndicator(cardGroup) {
     // Create canvas for the Are.na icon
@@ -1090,18 +1211,18 @@ function createArenaLinkIndicator(cardGroup) {
     context.fillText('↓', canvas.width/2, canvas.height/2);
     
     // Create a texture from the canvas
-    const texture = new THREE.CanvasTexture(canvas);
+    const texture = cardResources.track(new THREE.CanvasTexture(canvas));
     texture.needsUpdate = true;
     
     // Create a material using the texture
-    const material = new THREE.MeshBasicMaterial({
+    const material = cardResources.track(new THREE.MeshBasicMaterial({
         map: texture,
         transparent: true,
         opacity: 0 // Start invisible for animation
-    });
+    }));
     
     // Create a small plane for the icon
-    const geometry = new THREE.PlaneGeometry(0.5, 0.5);
+    const geometry = cardResources.track(new THREE.PlaneGeometry(0.5, 0.5));
     const iconMesh = new THREE.Mesh(geometry, material);
     iconMesh.isArenaLink = true;
     
@@ -1117,35 +1238,193 @@ function createArenaLinkIndicator(cardGroup) {
     cardGroup.add(iconMesh);
     
     // Animate the icon appearing (with slight delay)
-    setTimeout(() => {
-        animateLabelAppearance(material);
-    }, 500);
+    animateLabelAppearance(material, 500);
 }
 
 // Animate the label appearing with a mystical effect
-function animateLabelAppearance(material) {
-    const duration = 1000; // 1 second for the animation
-    const startTime = Date.now();
+function animateLabelAppearance(material, delay = 0) {
+    return timeline.tween({
+        delay,
+        duration: 1000, // 1 second for the animation
+        easing: 'easeOutSine',
+        onUpdate: (easedProgress, progress) => {
+            // Custom easing for mystical appearance
+            // This creates a pulsing, glowing effect as it appears
+            const oscillation = 0.2 * Math.sin(progress * 10) * (1 - progress);
+            
+            // Set the opacity with oscillation for a mystical effect
+            material.opacity = easedProgress + oscillation;
+            material.needsUpdate = true;
+        }
+    });
+}
+
+// Finish a reading: offer reset and sharing, and keep it in the URL so a reload restores it
+function completeReading() {
+    highlightResetButton();
+    announce('Your reading is complete. Reset the cards to start a new reading.');
+    
+    const shareButton = document.getElementById('share-button');
+    if (shareButton) {
+        shareButton.hidden = false;
+    }
     
-    function updateLabelOpacity() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Custom easing for mystical appearance
-        // This creates a pulsing, glowing effect as it appears
-        const easedProgress = Math.sin(progress * Math.PI / 2);
-        const oscillation = 0.2 * Math.sin(progress * 10) * (1 - progress);
-        
-        // Set the opacity with oscillation for a mystical effect
-        material.opacity = easedProgress + oscillation;
-        material.needsUpdate = true;
-        
-        if (progress < 1) {
-            requestAnimationFrame(updateLabelOpacity);
+    const reading = readingEngine.getResult();
+    window.history.replaceState(null, '', getReadingUrl(reading));
+    
+    // Restored readings are already in someone's journal
+    const restored = Boolean(sharedReading);
+    composeInterpretation(reading).then(interpretation => {
+        // The reader may have moved on to a new reading in the meantime
+        if (readingState.is('complete')) {
+            renderInterpretation(interpretation);
+        }
+        if (!restored) {
+            saveReadingToJournal(reading, interpretation);
+        }
+    }).catch(error => {
+        // The journal keeps the reading without its text
+        console.error('Error writing the reading:', error);
+        if (!restored) {
+            saveReadingToJournal(reading, null);
+        }
+    });
+}
+
+// Write the finished reading out in words (see interpretation.js)
+async function composeInterpretation(reading) {
+    // Channels make the text richer but are not worth a long wait
+    const channels = await Promise.all(reading.cards.map(({ block }) => Promise.race([
+        contentSource.getCardChannels(block).then(list => list.map(channel => channel.title)),
+        new Promise(resolve => setTimeout(() => resolve([]), INTERPRETATION_CHANNEL_TIMEOUT))
+    ]).catch(() => [])));
+    
+    const params = new URLSearchParams(window.location.search);
+    return interpretReading(reading, {
+        template: getInterpretationTemplate(params.get('interpretation') || INTERPRETATION_TEMPLATE),
+        category: (findQueryCategory(queryTaxonomy, reading.query) || {}).name || null,
+        channels
+    });
+}
+
+// Keep the finished reading in the journal (see journal.js), interpretation is null when it could not be written
+function saveReadingToJournal(reading, interpretation) {
+    saveJournalEntry({
+        id: Date.now().toString(36),
+        timestamp: Date.now(),
+        spread: reading.spread,
+        spreadName: reading.spreadName,
+        seed: readingSeed,
+        query: reading.query,
+        link: getReadingUrl(reading),
+        cards: reading.cards.map(({ slot, label, reversed, id, card }) => ({
+            slot,
+            label,
+            reversed,
+            blockId: id,
+            title: card.title,
+            thumbnail: card.thumbnailUrl || card.imageUrl,
+            url: card.url
+        })),
+        interpretation: interpretation ? interpretation.text : null
+    });
+    
+    renderJournal();
+}
+
+// Copy the permalink of the current reading
+function shareReading() {
+    const url = getReadingUrl(readingEngine.getResult());
+    const shareButton = document.getElementById('share-button');
+    
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link to share your reading', url);
+        return;
+    }
+    
+    navigator.clipboard.writeText(url).then(() => {
+        if (shareButton) {
+            shareButton.textContent = 'Link Copied';
+            setTimeout(() => {
+                shareButton.textContent = 'Share Reading';
+            }, 2000);
         }
+    }).catch(() => {
+        window.prompt('Copy this link to share your reading', url);
+    });
+}
+
+// Restore the cards of a shared reading face up, with their labels
+async function restoreSharedReading() {
+    const reading = sharedReading;
+    
+    if (reading.query) {
+        const subtitle = document.querySelector('.subtitle');
+        if (subtitle) {
+            subtitle.textContent = `A shared reading for “${reading.query}”`;
+        }
+        currentQuery = reading.query;
+    }
+    
+    const results = await readingEngine.restore(reading, revealed => readingRenderer.showCard(revealed.slot, revealed.card, revealed.label, revealed.reversed));
+    const failures = results.filter(result => result.status === 'rejected');
+    failures.forEach(result => {
+        console.error('Error restoring shared card:', result.reason);
+    });
+    
+    refreshCardProxies();
+    announce(`Shared reading restored with ${readingEngine.getRevealedCount()} revealed cards.`);
+    
+    if (failures.length > 0) {
+        const missing = `${failures.length} of the shared cards could not be loaded.`;
+        showReadingError(`${missing} ${describeReadingError(failures[0].reason, '')}`.trim());
+    }
+    
+    readingState.transition(readingEngine.isComplete() ? 'complete' : 'dealt');
+}
+
+// Get the accessible name of a card's proxy button
+function getCardProxyLabel(index) {
+    const { card, label } = readingEngine.getSlot(index);
+    
+    if (card) {
+        return `${label}: ${card.title || 'Untitled'}, revealed. Open details`;
+    }
+    
+    const name = `Card ${index + 1} of ${readingEngine.getSlots().length}`;
+    if (readingState.is('revealing') && readingState.getDetail().cardIndex === index) {
+        return `${name}, revealing`;
+    }
+    
+    // Slot spreads tell the reader which position a card stands for before it is revealed
+    const position = readingEngine.getUpcomingPosition(index);
+    return position ? `${name}, ${position.label}, face down` : `${name}, face down`;
+}
+
+// Sync the accessible card proxies with the cards on the table
+function refreshCardProxies() {
+    renderCardProxies(readingEngine.getSlots().map(slot => getCardProxyLabel(slot.slot)));
+}
+
+// Announce a card once it has been revealed
+function announceRevealedCard(index) {
+    const { card, label } = readingEngine.getSlot(index);
+    if (!card) {
+        return;
+    }
+    
+    const text = card.description || card.content;
+    announce(`${label}: ${card.title || 'Untitled'}.${text ? ` ${text}` : ''}`);
+}
+
+// Open the detail overlay of a revealed card (see card-detail.js)
+function showCardDetail(index) {
+    const { block, card, label } = readingEngine.getSlot(index);
+    if (!card) {
+        return;
     }
     
-    updateLabelOpacity();
+    openCardDetail(card, label, contentSource.getCardChannels(block));
 }
 
 // Highlight reset button when all cards are revealed
@@ -1167,11 +1446,33 @@ function highlightResetButton() {
 
 // Reset the tarot reading
 function resetTarotReading() {
-    // Only allow reset if not currently animating
-    if (animating) return;
+    // Cards that are still being dealt or turned over finish first
+    if (!readingState.can('resetting')) return;
+    
+    readingState.transition('resetting');
+    
+    // The cards are leaving the table, so are their proxies
+    renderCardProxies([]);
+    announce('Shuffling a new reading.');
+    
+    // The finished reading leaves the URL and the share button goes away
+    sharedReading = null;
+    window.history.replaceState(null, '', getReadingUrl(null));
+    
+    // A shared reading may have brought its own spread, new readings use the configured one
+    const configuredSpread = getConfiguredSpread();
+    const spreadChanged = configuredSpread !== currentSpread;
+    if (spreadChanged) {
+        currentSpread = configuredSpread;
+        readingEngine = createConfiguredEngine();
+    }
+    showSpreadDescription();
+    hideInterpretation();
     
-    // Start animation
-    animating = true;
+    const shareButton = document.getElementById('share-button');
+    if (shareButton) {
+        shareButton.hidden = true;
+    }
     
     // Remove highlight from reset button
     const resetButton = document.getElementById('reset-button');
@@ -1180,154 +1481,88 @@ function resetTarotReading() {
         resetButton.style.animation = '';
     }
     
-    // Hide reset container after animation completes
-    const resetContainer = document.querySelector('.reset-container');
-    
-    // First, animate all cards flipping back down
-    const promises = [];
-    
-    cardMeshes.forEach((cardGroup) => {
-        // Only animate cards that were flipped
-        if (cardGroup.userData.revealed) {
-            const promise = new Promise((resolve) => {
-                // Flip animation
-                const startRotX = cardGroup.rotation.x;
-                const targetRotX = Math.PI; // 180 degrees (face down)
-                const duration = 600;
-                const startTime = Date.now();
-                
-                function updateCardRotation() {
-                    const elapsed = Date.now() - startTime;
-                    const progress = Math.min(elapsed / duration, 1);
-                    // Easing function (ease-in-out)
-                    const easedProgress = progress < 0.5
-                        ? 2 * progress * progress
-                        : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-                    
-                    // Update rotation
-                    cardGroup.rotation.x = startRotX + (targetRotX - startRotX) * easedProgress;
-                    
-                    if (progress < 1) {
-                        requestAnimationFrame(updateCardRotation);
-                    } else {
-                        // Reset card data
-                        cardGroup.userData.revealed = false;
-                        cardGroup.userData.selected = false;
-                        
-                        // Remove any labels
-                        cardGroup.children.forEach(child => {
-                            if (child.isTextLabel) {
-                                cardGroup.remove(child);
-                            }
-                        });
-                        
-                        resolve();
-                    }
-                }
-                
-                // Start the card flip animation with slight delay based on index
-                setTimeout(() => {
-                    updateCardRotation();
-                }, cardMeshes.indexOf(cardGroup) * 200);
-            });
-            
-            promises.push(promise);
-        }
-    });
-    
-    // When all cards are flipped back down, reset counter and fetch new content
-    Promise.all(promises).then(() => {
-        // Reset counter
-        revealedCardCount = 0;
-        
+    // When all cards have left the table, fetch new content and deal new cards
+    readingRenderer.clear().then(() => {
         // Hide reset container
+        const resetContainer = document.querySelector('.reset-container');
         if (resetContainer) {
             resetContainer.classList.remove('visible');
         }
         
-        // Decide whether to show shuffle animation again (20% chance)
-        const showShuffleAgain = Math.random() < 0.2;
-        
-        // Remove current cards with a fly-away animation
-        const flyAwayPromises = [];
-        
-        cardMeshes.forEach((cardGroup, i) => {
-            const promise = new Promise((resolve) => {
-                // Random target position off-screen
-                const targetX = (Math.random() - 0.5) * 30;
-                const targetY = -10 - Math.random() * 5;
-                const targetZ = (Math.random() - 0.5) * 30;
-                
-                const startPos = {
-                    x: cardGroup.position.x,
-                    y: cardGroup.position.y,
-                    z: cardGroup.position.z
-                };
-                
-                const flyDuration = 500 + Math.random() * 200;
-                const startTime = Date.now();
-                
-                function flyAway() {
-                    const elapsed = Date.now() - startTime;
-                    const progress = Math.min(elapsed / flyDuration, 1);
-                    
-                    // Easing function
-                    const easedProgress = progress;
-                    
-                    // Update position
-                    cardGroup.position.x = startPos.x + (targetX - startPos.x) * easedProgress;
-                    cardGroup.position.y = startPos.y + (targetY - startPos.y) * easedProgress;
-                    cardGroup.position.z = startPos.z + (targetZ - startPos.z) * easedProgress;
-                    
-                    // Add some rotation
-                    cardGroup.rotation.x += 0.05;
-                    cardGroup.rotation.z += 0.03;
-                    
-                    if (progress < 1) {
-                        requestAnimationFrame(flyAway);
-                    } else {
-                        // Remove the card from the scene
-                        scene.remove(cardGroup);
-                        resolve();
-                    }
-                }
-                
-                // Start with a slight delay based on index
-                setTimeout(() => {
-                    flyAway();
-                }, i * 100);
-            });
-            
-            flyAwayPromises.push(promise);
-        });
+        // The table is empty, so the view can change to frame the new spread
+        if (spreadChanged) {
+            readingRenderer.fitSpread(currentSpread);
+        }
         
-        // When all cards have flown away, fetch new content and create new cards
-        Promise.all(flyAwayPromises).then(() => {
-            // Clear the card meshes array
-            cardMeshes = [];
-            
-            // Fetch new content from Are.na
-            fetchRandomContent().then(() => {
-                // Determine whether to show shuffle animation or go directly to cards
-                if (showShuffleAgain) {
-                    isInitialAnimation = true;
-                    createShuffleAnimation();
-                } else {
-                    isInitialAnimation = false;
-                    createCards();
-                }
-                
-                animating = false;
-            }).catch(error => {
-                console.error('Error fetching new content:', error);
-                isInitialAnimation = false;
-                createCards();
-                animating = false;
+        // Decide whether to show shuffle animation again (20% chance), the reader pulls every hand out of an interactive one
+        const showShuffleAgain = readingRandom() < 0.2 || shuffleOptions.interactive;
+        readingState.transition('loading');
+        
+        // Fetch new content from Are.na
+        fetchRandomContent().then(() => {
+            // Determine whether to show shuffle animation or go directly to cards
+            return dealReading(showShuffleAgain);
+        }, error => {
+            // The last deck is still there, so deal from it without the shuffle
+            console.error('Error fetching new content:', error);
+            return dealReading(false).then(() => {
+                showReadingError(describeReadingError(error, 'New cards could not be loaded, this reading uses the last deck.'));
             });
+        }).catch(error => {
+            console.error('Error dealing a new reading:', error);
+            failReading(error, 'The cards could not be dealt. Reset to try again.');
         });
     });
 }
 
+// Take the cards off the table: revealed cards flip back down, then all of them fly away
+function clearCards() {
+    hoveredCard = null;
+    
+    // First, animate all cards flipping back down
+    // (only cards that were flipped, with slight delay based on index)
+    const promises = cardMeshes
+        .filter(isCardRevealed)
+        .map(cardGroup => timeline.tween({
+            target: cardGroup.rotation,
+            to: { x: Math.PI }, // 180 degrees (face down)
+            duration: 600,
+            delay: cardMeshes.indexOf(cardGroup) * 200,
+            easing: 'easeInOutQuad'
+        }).then(() => {
+            // Remove any labels
+            cardGroup.children.filter(child => child.isTextLabel).forEach(removeCardOverlay);
+        }));
+    
+    // When all cards are flipped back down, remove them with a fly-away animation,
+    // starting with a slight delay based on index
+    return Promise.all(promises).then(() => Promise.all(cardMeshes.map((cardGroup, i) => timeline.tween({
+        target: cardGroup.position,
+        // Random target position off-screen
+        to: {
+            x: (Math.random() - 0.5) * 30,
+            y: -10 - Math.random() * 5,
+            z: (Math.random() - 0.5) * 30
+        },
+        duration: 500 + Math.random() * 200,
+        delay: i * 100,
+        onUpdate: () => {
+            // Add some rotation
+            cardGroup.rotation.x += 0.05;
+            cardGroup.rotation.z += 0.03;
+        }
+    }).then(() => {
+        // Remove the card from the scene
+        scene.remove(cardGroup);
+    })))).then(() => {
+        // Clear the card meshes array
+        cardMeshes = [];
+        
+        // The cards have left the scene, free their geometry, materials, faces and labels
+        cardResources.dispose();
+    });
+}
+
 // Setup event listeners
 function setupEventListeners() {
     const containerEl = document.getElementById('canvas-container');
@@ -1338,212 +1573,323 @@ function setupEventListeners() {
         resetButton.addEventListener('click', resetTarotReading);
     }
     
-    // Store a reference to original click handler
-    const clickHandler = event => {
-        if (animating) return;
-        
-        // Calculate mouse position in normalized device coordinates
-        const rect = containerEl.getBoundingClientRect();
-        mouse.x = ((event.clientX - rect.left) / containerEl.clientWidth) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / containerEl.clientHeight) * 2 + 1;
-        
-        // Cast a ray from the camera to the mouse position
-        raycaster.setFromCamera(mouse, camera);
+    const shareButton = document.getElementById('share-button');
+    if (shareButton) {
+        shareButton.addEventListener('click', shareReading);
+    }
+    
+    setupHistoryPanel();
+    setupCardDetail();
+    setupInterpretationPanel();
+    
+    // A finished reading is offered for sharing and saved as soon as it completes
+    readingState.subscribe(({ to }) => {
+        if (to === 'complete') {
+            completeReading();
+        }
+    });
+    
+    // Keyboard and screen reader access to the cards (see accessibility.js)
+    setupCardProxies({
+        onFocusCard: index => readingRenderer.highlightCard(index),
+        onBlurCards: () => readingRenderer.highlightCard(-1),
+        onActivateCard: index => {
+            if (canInteractWithCards() && !isCardDetailOpen()) {
+                activateCard(index);
+            }
+        }
+    });
+    
+    // Enter or Space pulls the card nearest the reader out of an interactive shuffle,
+    // unless a control of the page has the focus
+    document.addEventListener('keydown', event => {
+        if (!isPullingCards() || (event.key !== 'Enter' && event.key !== ' ')) return;
+        if (event.target.closest && event.target.closest('button, a, input, select, textarea')) return;
         
-        // Get all meshes from the card groups for intersection testing
-        const allCardMeshes = [];
-        cardMeshes.forEach(cardGroup => {
-            cardGroup.traverse(child => {
-                if (child.isMesh) {
-                    // Store the reference to parent group in the mesh
-                    child.userData.parentGroup = cardGroup;
-                    allCardMeshes.push(child);
-                }
-            });
-        });
+        event.preventDefault();
+        activeShuffle.pullFront();
+    });
+    
+    // Pointer events cover mouse, touch and pen with one set of handlers
+    containerEl.addEventListener('pointerdown', event => {
+        // Ignore extra fingers of a multi-touch gesture
+        if (!event.isPrimary) return;
+        
+        const hit = isPullingCards() ? null : getCardAtPointer(event);
+        
+        activePointer = {
+            id: event.pointerId,
+            type: event.pointerType,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastX: event.clientX,
+            lastY: event.clientY,
+            startTime: Date.now(),
+            moved: false,
+            longPressed: false,
+            cardGroup: hit ? hit.cardGroup : null,
+            timer: null
+        };
         
-        // Check for intersections with the card meshes
-        const intersects = raycaster.intersectObjects(allCardMeshes);
+        // An interactive shuffle takes the pointer: holding it keeps the cards shuffling
+        if (isPullingCards()) {
+            activeShuffle.grab();
+            containerEl.style.cursor = 'grabbing';
+            return;
+        }
         
-        if (intersects.length > 0) {
-            // Get the intersected object
-            const intersectedObject = intersects[0].object;
+        // Holding still on a card previews it
+        if (activePointer.cardGroup && canInteractWithCards()) {
+            const pointer = activePointer;
+            pointer.timer = setTimeout(() => {
+                pointer.longPressed = true;
+                startCardPreview(pointer.cardGroup);
+            }, LONG_PRESS_DELAY);
+        }
+    });
+    
+    containerEl.addEventListener('pointermove', event => {
+        if (activePointer && event.pointerId === activePointer.id) {
+            const dx = event.clientX - activePointer.startX;
+            const dy = event.clientY - activePointer.startY;
             
-            // Check if this is an Are.na link indicator
-            if (intersectedObject.isArenaLink && intersectedObject.userData.arenaUrl) {
-                // Open the Are.na URL in a new tab
-                window.open(intersectedObject.userData.arenaUrl, '_blank');
-                return;
+            // Moving more than a few pixels turns a tap into a swipe
+            if (!activePointer.moved && Math.hypot(dx, dy) > TAP_MOVE_TOLERANCE) {
+                activePointer.moved = true;
+                clearTimeout(activePointer.timer);
             }
             
-            // Get the parent group of the intersected mesh
-            const intersectedGroup = intersectedObject.userData.parentGroup;
-            const cardIndex = cardMeshes.indexOf(intersectedGroup);
-            
-            if (cardIndex !== -1) {
-                flipCard(cardIndex);
+            // Dragging spins the galaxy of an interactive shuffle
+            if (activePointer.moved && isPullingCards()) {
+                activeShuffle.drag(event.clientX - activePointer.lastX, event.clientY - activePointer.lastY);
             }
+            activePointer.lastX = event.clientX;
+            activePointer.lastY = event.clientY;
+            return;
         }
-    };
-    
-    // Mouse down event to track start of potential drag
-    containerEl.addEventListener('mousedown', event => {
-        mouseDownTime = Date.now();
-        mouseDownPosition = {
-            x: event.clientX,
-            y: event.clientY
-        };
-        isDragging = false;
-    });
-    
-    // Mouse move event to detect dragging
-    containerEl.addEventListener('mousemove', event => {
-        if (animating) return;
         
-        // If mouse is down and moving, consider it a drag
-        if (mouseDownTime > 0) {
-            const dx = Math.abs(event.clientX - mouseDownPosition.x);
-            const dy = Math.abs(event.clientY - mouseDownPosition.y);
-            
-            // If moved more than 5 pixels, consider it a drag
-            if (dx > 5 || dy > 5) {
-                isDragging = true;
-            }
+        if (isPullingCards()) {
+            containerEl.style.cursor = 'grab';
+            return;
         }
         
-        // Calculate mouse position in normalized device coordinates
-        const rect = containerEl.getBoundingClientRect();
-        mouse.x = ((event.clientX - rect.left) / containerEl.clientWidth) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / containerEl.clientHeight) * 2 + 1;
+        // Only mice and pens hover, touches never do
+        if (event.pointerType !== 'touch') {
+            updateHover(event);
+        }
+    });
+    
+    containerEl.addEventListener('pointerup', event => {
+        if (!activePointer || event.pointerId !== activePointer.id) return;
         
-        // Cast a ray from the camera to the mouse position
-        raycaster.setFromCamera(mouse, camera);
+        const pointer = activePointer;
+        activePointer = null;
+        clearTimeout(pointer.timer);
         
-        // Get all meshes from the card groups for intersection testing
-        const allCardMeshes = [];
-        cardMeshes.forEach(cardGroup => {
-            cardGroup.traverse(child => {
-                if (child.isMesh) {
-                    child.userData.parentGroup = cardGroup;
-                    allCardMeshes.push(child);
-                }
-            });
-        });
+        // A quick tap pulls the card under it out of an interactive shuffle, a hold or a drag only shuffles
+        if (isPullingCards()) {
+            activeShuffle.release();
+            containerEl.style.cursor = 'grab';
+            if (!pointer.moved && Date.now() - pointer.startTime < LONG_PRESS_DELAY) {
+                aimRaycaster(event);
+                activeShuffle.pullAt(raycaster);
+            }
+            return;
+        }
         
-        // Check for intersections with the card meshes
-        const intersects = raycaster.intersectObjects(allCardMeshes);
+        if (pointer.longPressed) {
+            endCardPreview(pointer.cardGroup);
+            return;
+        }
         
-        const containerElement = document.getElementById('canvas-container');
+        if (!canInteractWithCards() || isCardDetailOpen()) return;
         
-        if (intersects.length > 0) {
-            // Get the first intersected object
-            const intersectedObject = intersects[0].object;
-            
-            // Check if we're hovering over an Are.na link indicator
-            if (intersectedObject.isArenaLink) {
-                // If hovering over an Are.na link, use pointer cursor
-                containerElement.style.cursor = 'pointer';
-                
-                // Reset any previously hovered card
-                if (hoveredCard) {
-                    gsapLikeScale(hoveredCard, 1, 1, 1);
-                    hoveredCard = null;
-                }
-                return;
-            }
-            
-            // Get the parent group of the intersected mesh
-            const intersectedGroup = intersectedObject.userData.parentGroup;
-            
-            // Change cursor to pointer
-            containerElement.style.cursor = 'pointer';
-            
-            // If we're hovering a new card, reset the old one
-            if (hoveredCard && hoveredCard !== intersectedGroup) {
-                // Reset scale of previously hovered card
-                gsapLikeScale(hoveredCard, 1, 1, 1);
-                hoveredCard = null;
-            }
-            
-            // If we haven't set this card as hovered yet, apply the scale
-            if (hoveredCard !== intersectedGroup) {
-                hoveredCard = intersectedGroup;
-                // Scale up the hovered card by 2%
-                gsapLikeScale(hoveredCard, 1.02, 1.02, 1.02);
-            }
-        } else {
-            // No card hovered, change cursor back to default
-            containerElement.style.cursor = 'default';
-            
-            // Reset scale of previously hovered card if any
-            if (hoveredCard) {
-                gsapLikeScale(hoveredCard, 1, 1, 1);
-                hoveredCard = null;
+        if (!pointer.moved) {
+            // A tap flips the card under it, or opens the details of a revealed card
+            const hit = getCardAtPointer(event);
+            if (hit) {
+                activateCard(cardMeshes.indexOf(hit.cardGroup));
             }
+            return;
         }
+        
+        handleSwipe(event.clientX - pointer.startX, event.clientY - pointer.startY, Date.now() - pointer.startTime);
     });
     
-    // Mouse up event to process clicks
-    containerEl.addEventListener('mouseup', event => {
-        // Only process click if not dragging and not too long after mousedown
-        const clickDuration = Date.now() - mouseDownTime;
-        const isClick = !isDragging && clickDuration < 300; // Consider it a click if less than 300ms
+    containerEl.addEventListener('pointercancel', () => {
+        if (!activePointer) return;
         
-        if (isClick) {
-            // Process the click using same logic as the click handler
-            clickHandler(event);
+        if (isPullingCards()) {
+            activeShuffle.release();
         }
+        clearTimeout(activePointer.timer);
+        if (activePointer.longPressed) {
+            endCardPreview(activePointer.cardGroup);
+        }
+        activePointer = null;
+    });
+    
+    // Reset hover state when the cursor leaves the container
+    containerEl.addEventListener('pointerleave', event => {
+        if (event.pointerType === 'touch') return;
         
-        // Reset drag detection variables
-        mouseDownTime = 0;
-        isDragging = false;
+        setHoveredCard(null);
+        containerEl.style.cursor = 'default';
     });
+}
+
+// Check whether the cards on the table respond to hover, taps and keys
+function canInteractWithCards() {
+    return readingState.is('dealt', 'complete');
+}
+
+// Point the raycaster from the camera through the position of a pointer event
+function aimRaycaster(event) {
+    const containerEl = document.getElementById('canvas-container');
     
-    // Add click handler directly for mobile and as a fallback
-    containerEl.addEventListener('click', clickHandler);
+    // Calculate pointer position in normalized device coordinates
+    const rect = containerEl.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / containerEl.clientWidth) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / containerEl.clientHeight) * 2 + 1;
     
-    // Add mouseleave event to reset hover state when cursor leaves the container
-    containerEl.addEventListener('mouseleave', () => {
-        if (hoveredCard) {
-            gsapLikeScale(hoveredCard, 1, 1, 1);
-            hoveredCard = null;
-        }
-        containerEl.style.cursor = 'default';
-        
-        // Reset drag detection variables
-        mouseDownTime = 0;
-        isDragging = false;
+    // Cast a ray from the camera to the pointer position
+    raycaster.setFromCamera(mouse, camera);
+}
+
+// Find the card (and the exact mesh) under a pointer event
+function getCardAtPointer(event) {
+    aimRaycaster(event);
+    
+    // Get all meshes from the card groups for intersection testing
+    const allCardMeshes = [];
+    cardMeshes.forEach(cardGroup => {
+        cardGroup.traverse(child => {
+            if (child.isMesh) {
+                // Store the reference to parent group in the mesh
+                child.userData.parentGroup = cardGroup;
+                allCardMeshes.push(child);
+            }
+        });
     });
+    
+    // Check for intersections with the card meshes
+    const intersects = raycaster.intersectObjects(allCardMeshes);
+    if (intersects.length === 0) {
+        return null;
+    }
+    
+    const object = intersects[0].object;
+    return { object, cardGroup: object.userData.parentGroup };
 }
 
-// Helper function for smooth scaling (GSAP-like)
-function gsapLikeScale(object, targetX, targetY, targetZ) {
-    const startScale = {
-        x: object.scale.x,
-        y: object.scale.y,
-        z: object.scale.z
-    };
-    const targetScale = { x: targetX, y: targetY, z: targetZ };
-    const duration = 200; // milliseconds
-    const startTime = Date.now();
-    
-    function updateScale() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        // Easing function (ease-out)
-        const easedProgress = 1 - Math.pow(1 - progress, 2);
-        
-        // Update scale
-        object.scale.x = startScale.x + (targetScale.x - startScale.x) * easedProgress;
-        object.scale.y = startScale.y + (targetScale.y - startScale.y) * easedProgress;
-        object.scale.z = startScale.z + (targetScale.z - startScale.z) * easedProgress;
+// Highlight the card under a hovering mouse or pen
+function updateHover(event) {
+    if (!canInteractWithCards()) return;
+    
+    const containerEl = document.getElementById('canvas-container');
+    const hit = getCardAtPointer(event);
+    
+    if (!hit) {
+        // No card hovered, change cursor back to default
+        containerEl.style.cursor = 'default';
+        setHoveredCard(null);
+        return;
+    }
+    
+    // Change cursor to pointer
+    containerEl.style.cursor = 'pointer';
+    
+    // The Are.na link indicator is not a card of its own, don't scale for it
+    setHoveredCard(hit.object.isArenaLink ? null : hit.cardGroup);
+}
+
+// Long-press preview: revealed cards open their details, face-down cards lift up
+function startCardPreview(cardGroup) {
+    const cardIndex = cardMeshes.indexOf(cardGroup);
+    if (isCardRevealed(cardGroup)) {
+        showCardDetail(cardIndex);
+        return;
+    }
+    
+    setHoveredCard(cardGroup);
+    gsapLikeScale(cardGroup, 1.1, 1.1, 1.1);
+    announce(getCardProxyLabel(cardIndex));
+}
+
+// Put a previewed card back down when the press ends
+function endCardPreview(cardGroup) {
+    if (!isCardRevealed(cardGroup)) {
+        gsapLikeScale(cardGroup, 1.02, 1.02, 1.02);
+    }
+}
+
+// Horizontal swipes move the highlight between cards, swiping up turns the highlighted card
+function handleSwipe(dx, dy, duration) {
+    const isSwipe = duration < SWIPE_MAX_DURATION &&
+        Math.max(Math.abs(dx), Math.abs(dy)) > SWIPE_MIN_DISTANCE;
+    if (!isSwipe || cardMeshes.length === 0) return;
+    
+    if (Math.abs(dx) > Math.abs(dy)) {
+        // Swiping left brings the next card, like turning pages
+        const step = dx < 0 ? 1 : -1;
+        const currentIndex = cardMeshes.indexOf(hoveredCard);
+        const nextIndex = currentIndex === -1
+            ? (step > 0 ? 0 : cardMeshes.length - 1)
+            : (currentIndex + step + cardMeshes.length) % cardMeshes.length;
+        
+        setHoveredCard(cardMeshes[nextIndex]);
+        announce(getCardProxyLabel(nextIndex));
+    } else if (dy < 0 && hoveredCard) {
+        activateCard(cardMeshes.indexOf(hoveredCard));
+    }
+}
+
+// Highlight a single card (or none), shared by mouse hover and keyboard focus
+function setHoveredCard(cardGroup) {
+    if (hoveredCard === cardGroup) {
+        return;
+    }
+    
+    // Reset scale of previously hovered card
+    if (hoveredCard) {
+        gsapLikeScale(hoveredCard, 1, 1, 1);
+    }
+    
+    hoveredCard = cardGroup;
+    
+    if (hoveredCard) {
+        // Scale up the hovered card by 2%
+        gsapLikeScale(hoveredCard, 1.02, 1.02, 1.02);
         
-        if (progress < 1) {
-            requestAnimationFrame(updateScale);
+        // Keep the keyboard tab stop on the card the mouse points at
+        const index = cardMeshes.indexOf(hoveredCard);
+        if (index !== -1) {
+            setActiveCardProxy(index, false);
         }
     }
+}
+
+// Flip a face-down card, or open the details of a revealed one
+function activateCard(cardIndex) {
+    if (cardIndex < 0 || cardIndex >= readingEngine.getSlots().length) {
+        return;
+    }
     
-    updateScale();
+    if (readingEngine.isRevealed(cardIndex)) {
+        showCardDetail(cardIndex);
+    } else {
+        flipCard(cardIndex);
+    }
+}
+
+// Helper function for smooth scaling (GSAP-like), takes over from any scale still animating
+function gsapLikeScale(object, targetX, targetY, targetZ) {
+    return timeline.tween({
+        target: object.scale,
+        to: { x: targetX, y: targetY, z: targetZ },
+        duration: 200, // milliseconds
+        easing: 'easeOutQuad'
+    });
 }
 
 // Initialize the application when the page loads
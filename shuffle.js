@@ -0,0 +1,681 @@
+// Cosmic shuffle
+//
+// The shuffle that plays before a reading: a galaxy of cards grows out of
+// nothing, orbits the centre, and the spread's cards fly into their slots while
+// the rest scatter. Every card is one instance of a single InstancedMesh and
+// all faces share one texture atlas, so hundreds of cards cost a few draw calls.
+// Each instance picks its atlas tile through a per-instance attribute.
+//
+//   const quality = createShuffleQuality(options);
+//   const shuffle = startCosmicShuffle({ scene, timeline, backTexture, edgeColor, resources, slots, options, quality, cards, onPull });
+//   const pulledIds = await shuffle.finished;
+//
+// cards (optional) is a promise of card descriptions from the deck (see
+// sampleCards in sources.js). The atlas starts out as generated gradients and
+// each tile turns into a card of the deck as its thumbnail loads, so the reader
+// sees their own deck swirling.
+//
+// options (see DEFAULT_SHUFFLE_OPTIONS):
+//
+//   cardCount   - cards in the galaxy
+//   radius      - radius of the galaxy
+//   orbitSpeeds - orbit speeds (half turns over the shuffle), cards take turns using them
+//   duration    - milliseconds the galaxy swirls before the spread's cards are picked
+//   adaptive    - drop cards and shorten the swirl when frames take too long
+//   interactive - the reader spins the galaxy and pulls the spread's cards out of it
+//                 instead of watching random ones fly in, see startCosmicShuffle
+//
+// The shuffle is finished once the spread's cards lie face down in their slots;
+// the shuffle's own cards are gone by then and the caller lays out the real ones.
+
+const DEFAULT_SHUFFLE_OPTIONS = {
+    cardCount: 60,
+    radius: 20,
+    orbitSpeeds: [0.2, 0.3, 0.4, 0.5, 0.6],
+    duration: 3000,
+    adaptive: true,
+    interactive: false
+};
+
+const SHUFFLE_CARD_WIDTH = 2.2;
+const SHUFFLE_CARD_HEIGHT = 3.7;
+const SHUFFLE_ATLAS_COLUMNS = 4;      // Atlas of 4 x 4 faces
+const SHUFFLE_ATLAS_ROWS = 4;
+const SHUFFLE_DECK_CARDS = SHUFFLE_ATLAS_COLUMNS * SHUFFLE_ATLAS_ROWS;  // Deck cards the shuffle shows, one per tile
+const SHUFFLE_TILE_WIDTH = 128;       // Pixels per face, small since shuffle cards are never seen up close
+const SHUFFLE_TILE_HEIGHT = 192;
+const SHUFFLE_FRAME_BUDGET = 1000 / 45;  // Milliseconds a frame may take before adaptive quality steps in
+const SHUFFLE_SLOW_FRAMES = 10;          // Slow frames in a row that count as a slow machine
+const SHUFFLE_MIN_CARDS = 24;            // Adaptive quality never drops below this many cards
+const SHUFFLE_PAUSE = 300;               // Milliseconds the galaxy holds still before a cinematic shuffle deals
+const SHUFFLE_LANDING_TIME = 600;        // Milliseconds a card takes from the galaxy into its slot
+const SHUFFLE_IDLE_SPEED = 0.3;          // Swirl of an interactive galaxy left alone, relative to the cinematic one
+const SHUFFLE_HELD_SPEED = 3;            // Swirl while the reader holds the galaxy
+const SHUFFLE_DRAG_SPEED = 0.005;        // Radians the galaxy turns per pixel dragged
+const SHUFFLE_TURN_DAMPING = 0.003;      // How quickly a flicked galaxy stops turning, per millisecond
+
+// Read shuffle options, missing ones come from DEFAULT_SHUFFLE_OPTIONS
+function getShuffleOptions(options = {}) {
+    const merged = { ...DEFAULT_SHUFFLE_OPTIONS, ...options };
+    return {
+        ...merged,
+        cardCount: Math.max(1, Math.round(merged.cardCount)),
+        orbitSpeeds: merged.orbitSpeeds.length > 0 ? merged.orbitSpeeds : DEFAULT_SHUFFLE_OPTIONS.orbitSpeeds
+    };
+}
+
+// Keep track of how much shuffle the machine can take, across readings
+// A slow shuffle halves the cards drawn right away and makes the next shuffles smaller and shorter
+function createShuffleQuality(options) {
+    let level = 1;      // 1 is full quality, halved on every step down
+    let slowFrames = 0;
+    let lastFrame = null;
+
+    return {
+        get cardCount() {
+            return Math.max(Math.min(SHUFFLE_MIN_CARDS, options.cardCount), Math.round(options.cardCount * level));
+        },
+
+        get duration() {
+            return options.duration * (0.5 + level / 2);
+        },
+
+        // Start timing a new shuffle
+        start() {
+            slowFrames = 0;
+            lastFrame = null;
+        },
+
+        // Time one frame, returns true when quality was lowered
+        frame(now) {
+            const frameTime = lastFrame === null ? 0 : now - lastFrame;
+            lastFrame = now;
+            if (!options.adaptive || frameTime <= SHUFFLE_FRAME_BUDGET) {
+                slowFrames = 0;
+                return false;
+            }
+
+            slowFrames++;
+            if (slowFrames < SHUFFLE_SLOW_FRAMES || this.cardCount <= SHUFFLE_MIN_CARDS) {
+                return false;
+            }
+
+            slowFrames = 0;
+            level /= 2;
+            console.warn(`The shuffle is running slowly, drawing ${this.cardCount} cards`);
+            return true;
+        }
+    };
+}
+
+// Paint a random gradient face with circles into one atlas tile
+function drawShuffleTile(ctx, x, y, width, height) {
+    const hue = Math.random() * 360;
+
+    const gradient = ctx.createLinearGradient(x, y, x + width, y + height);
+    gradient.addColorStop(0, `hsl(${hue}, 70%, 40%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, 80%, 30%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, width, height);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    for (let i = 0; i < 10; i++) {
+        ctx.beginPath();
+        ctx.fillStyle = `hsla(${(hue + 180) % 360}, 70%, 60%, 0.3)`;
+        ctx.arc(x + Math.random() * width, y + Math.random() * height, (5 + Math.random() * 25) * width / 128, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+// Top left corner of an atlas tile on the atlas canvas, in pixels; tiles are numbered in rows from the top
+function getAtlasTileOrigin(tile) {
+    return {
+        x: (tile % SHUFFLE_ATLAS_COLUMNS) * SHUFFLE_TILE_WIDTH,
+        y: Math.floor(tile / SHUFFLE_ATLAS_COLUMNS) * SHUFFLE_TILE_HEIGHT
+    };
+}
+
+// Texture coordinates of an atlas tile's bottom left corner. The atlas is uploaded
+// with flipY, so v counts canvas rows from the bottom
+function getAtlasTileOffset(tile) {
+    const row = Math.floor(tile / SHUFFLE_ATLAS_COLUMNS);
+    return {
+        u: (tile % SHUFFLE_ATLAS_COLUMNS) / SHUFFLE_ATLAS_COLUMNS,
+        v: (SHUFFLE_ATLAS_ROWS - 1 - row) / SHUFFLE_ATLAS_ROWS
+    };
+}
+
+// The card of the deck a shuffle card (or atlas tile) shows, as an index into the cards painted into the atlas.
+// Instances take turns using the tiles, and tiles take turns showing the cards
+function getShuffleCardIndex(instance, cardCount) {
+    return (instance % SHUFFLE_DECK_CARDS) % cardCount;
+}
+
+// Draw the atlas of shuffle faces, one tile per face
+function createShuffleAtlas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = SHUFFLE_ATLAS_COLUMNS * SHUFFLE_TILE_WIDTH;
+    canvas.height = SHUFFLE_ATLAS_ROWS * SHUFFLE_TILE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    for (let tile = 0; tile < SHUFFLE_DECK_CARDS; tile++) {
+        const { x, y } = getAtlasTileOrigin(tile);
+        drawShuffleTile(ctx, x, y, SHUFFLE_TILE_WIDTH, SHUFFLE_TILE_HEIGHT);
+    }
+
+    // Mipmaps would blend neighbouring tiles at the edges
+    const atlas = new THREE.CanvasTexture(canvas);
+    atlas.generateMipmaps = false;
+    atlas.minFilter = THREE.LinearFilter;
+    return atlas;
+}
+
+// Load the small picture of a card the shuffle shows: the thumbnail of an image, the generated face of anything else
+function loadShuffleFace(card) {
+    if (isImageFace(card)) {
+        return loadFaceImage(card.thumbnailUrl || card.imageUrl);
+    }
+    return createCardFaceCanvas(card).catch(() => null);
+}
+
+// Draw a card's picture into an atlas tile, cropped to fill it and turned upside down
+// like the faces of the dealt cards (the camera shows the scene rotated by 180 degrees)
+function drawShuffleFace(ctx, face, x, y, width, height) {
+    const faceWidth = face.naturalWidth || face.width;
+    const faceHeight = face.naturalHeight || face.height;
+    const scale = Math.max(width / faceWidth, height / faceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+
+    ctx.save();
+    ctx.translate(x + width / 2, y + height / 2);
+    ctx.rotate(Math.PI);
+    ctx.drawImage(face, (faceWidth - cropWidth) / 2, (faceHeight - cropHeight) / 2, cropWidth, cropHeight,
+        -width / 2, -height / 2, width, height);
+    ctx.restore();
+}
+
+// Replace the generated tiles with the cards of the deck as their pictures load.
+// Tile t shows card t % cards.length (see getShuffleCardIndex), so cards take turns
+// filling the tiles when the deck has fewer cards than the atlas and every tile's
+// card is known up front
+async function paintDeckIntoAtlas(atlas, cards, isPlaying) {
+    const ctx = atlas.image.getContext('2d');
+    const sampled = cards.slice(0, SHUFFLE_DECK_CARDS);
+
+    await Promise.all(sampled.map(async (card, index) => {
+        const face = await loadShuffleFace(card);
+        // The atlas is disposed once the shuffle is over, uploading it again would leak it
+        if (!face || !isPlaying()) {
+            return;
+        }
+
+        for (let tile = 0; tile < SHUFFLE_DECK_CARDS; tile++) {
+            if (getShuffleCardIndex(tile, sampled.length) === index) {
+                const { x, y } = getAtlasTileOrigin(tile);
+                drawShuffleFace(ctx, face, x, y, SHUFFLE_TILE_WIDTH, SHUFFLE_TILE_HEIGHT);
+            }
+        }
+        atlas.needsUpdate = true;
+    }));
+}
+
+// A material that shows one atlas tile per instance, picked by the atlasOffset attribute
+function createAtlasMaterial(atlas) {
+    const material = new THREE.MeshBasicMaterial({ map: atlas, side: THREE.FrontSide });
+
+    material.onBeforeCompile = shader => {
+        shader.uniforms.atlasScale = { value: new THREE.Vector2(1 / SHUFFLE_ATLAS_COLUMNS, 1 / SHUFFLE_ATLAS_ROWS) };
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute vec2 atlasOffset;\nuniform vec2 atlasScale;')
+            .replace('#include <uv_vertex>', '#include <uv_vertex>\nvUv = vUv * atlasScale + atlasOffset;');
+    };
+
+    return material;
+}
+
+// Build the instanced galaxy: one box per card, the front face from the atlas
+function createShuffleMesh(cardCount, atlas, backTexture, edgeColor, resources) {
+    const geometry = resources.track(new THREE.BoxGeometry(SHUFFLE_CARD_WIDTH, SHUFFLE_CARD_HEIGHT, 0.05));
+
+    // Every card shows a tile of the atlas on its front face
+    const offsets = new Float32Array(cardCount * 2);
+    for (let i = 0; i < cardCount; i++) {
+        const { u, v } = getAtlasTileOffset(i % SHUFFLE_DECK_CARDS);
+        offsets[i * 2] = u;
+        offsets[i * 2 + 1] = v;
+    }
+    geometry.setAttribute('atlasOffset', new THREE.InstancedBufferAttribute(offsets, 2));
+
+    const edgeMaterial = resources.track(new THREE.MeshBasicMaterial({ color: edgeColor, side: THREE.FrontSide }));
+    // The card back texture is shared by every reading, only its material is disposed
+    const backMaterial = resources.track(new THREE.MeshBasicMaterial({ map: backTexture, side: THREE.FrontSide }));
+    const frontMaterial = resources.track(createAtlasMaterial(atlas));
+
+    const mesh = new THREE.InstancedMesh(geometry, [
+        edgeMaterial, // right side
+        edgeMaterial, // left side
+        edgeMaterial, // top edge
+        edgeMaterial, // bottom edge
+        frontMaterial, // front face
+        backMaterial  // back face
+    ], cardCount);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+    // Instances move far from the geometry's own bounds
+    mesh.frustumCulled = false;
+    mesh.name = 'CosmicShuffle';
+
+    return mesh;
+}
+
+// Call onFrame(milliseconds since the last frame) on every frame of the timeline until it returns false,
+// the returned promise resolves then. Runs on the timeline so ?speed= and pausing apply.
+function runEveryFrame(timeline, onFrame) {
+    return new Promise(resolve => {
+        const second = () => {
+            let previous = 0;
+            const tween = timeline.tween({
+                duration: 1000,
+                onUpdate: (_, progress) => {
+                    const delta = (progress - previous) * 1000;
+                    previous = progress;
+                    if (onFrame(delta) === false) {
+                        tween.cancel();
+                        resolve();
+                    }
+                }
+            });
+            tween.then(completed => {
+                if (completed) {
+                    second();
+                }
+            });
+        };
+        second();
+    });
+}
+
+// Start the shuffle, returns a controller:
+//
+//   shuffle.finished      - resolves to the ids of the cards the reader pulled ([] when nobody pulled any)
+//                           once the spread's cards lie face down in their slots
+//   shuffle.interactive   - whether the reader drives the shuffle, see below
+//
+// A cinematic shuffle plays on its own and picks the cards flying into the slots
+// at random. An interactive one keeps swirling until the reader has pulled a card
+// for every slot, through these calls (they do nothing in a cinematic shuffle):
+//
+//   shuffle.grab()             - a pointer went down: holding it speeds up the swirl
+//   shuffle.drag(dx, dy)       - the pointer moved by dx, dy pixels: turn the galaxy, it spins on after a flick
+//   shuffle.release()          - the pointer went up
+//   shuffle.pullAt(raycaster)  - pull the card under the pointer into the next slot, returns whether one was pulled
+//   shuffle.pullFront()        - pull the card nearest the reader, for the keyboard
+//
+// onPull(card, count, total) is called with the description of every pulled card.
+function startCosmicShuffle({ scene, timeline, backTexture, edgeColor = '#eeeeee', resources, slots, options, quality, cards = [], onPull = () => {} }) {
+    const interactive = options.interactive;
+    // Every slot of the spread needs a card to fly in
+    const cardCount = Math.max(quality.cardCount, slots.length);
+    const atlas = resources.track(createShuffleAtlas());
+    const mesh = createShuffleMesh(cardCount, atlas, backTexture, edgeColor, resources);
+    scene.add(mesh);
+
+    // Cards of the deck the tiles show, null until they are known
+    let sampled = null;
+    let playing = true;
+
+    // State of every card, kept in flat arrays so frames allocate nothing
+    const directions = new Float32Array(cardCount * 3);  // Starting point on the unit sphere
+    const axes = new Uint8Array(cardCount);               // Orbit axis, see ORBIT_AXES
+    const tilts = new Float32Array(cardCount);            // Random tilt around the card's own axis
+    const twists = new Float32Array(cardCount);           // Tilt with the wobble of the current frame
+    const positions = new Float32Array(cardCount * 3);    // Position in the last frame
+    const spins = new Float32Array(cardCount);            // Rotation of the card face (PI shows the front)
+    const scales = new Float32Array(cardCount).fill(0.01);
+    const rotations = new Float32Array(cardCount * 3);    // Euler rotation once the card has left its orbit
+    const states = new Uint8Array(cardCount);             // ORBITING, LANDING or LEAVING
+
+    // Where a card was when it left its orbit, and where it is going
+    const starts = new Float32Array(cardCount * 3);
+    const startRotations = new Float32Array(cardCount * 3);
+    const targets = new Float32Array(cardCount * 3);
+    const flightStarts = new Float32Array(cardCount);     // Shuffle time the flight began
+    const flightTimes = new Float32Array(cardCount);      // Milliseconds the flight takes
+    const landingSlots = new Uint8Array(cardCount);       // Slot a landing card flies into
+
+    const ORBITING = 0;
+    const LANDING = 1;
+    const LEAVING = 2;
+
+    const ORBIT_AXES = [
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(0.5, 1, 0.5).normalize(),
+        new THREE.Vector3(0, 0, 1)
+    ];
+    const TURN_X = new THREE.Vector3(1, 0, 0);
+    const TURN_Y = new THREE.Vector3(0, 1, 0);
+
+    // Reused every frame
+    const dummy = new THREE.Object3D();
+    const spin = new THREE.Matrix4();
+    const point = new THREE.Vector3();
+    const turn = new THREE.Quaternion();
+    const orientation = new THREE.Quaternion();  // How far the reader has turned the galaxy
+
+    const flyEasing = getEasing('easeInOutCubic');
+    const moveEasing = getEasing('easeOutCubic');
+    const flipEasing = getEasing('easeOutQuad');
+
+    let elapsed = 0;        // Milliseconds of shuffle time
+    let phase = 0;          // How far the orbits have come, 1 is one cinematic swirl
+    let speed = 1;          // Orbit speed relative to the cinematic swirl
+    let endTime = null;     // Shuffle time the shuffle ends, set once the cards are picked
+    const picks = [];       // Ids of the pulled cards, in slot order
+
+    // The reader's pointer
+    let held = false;
+    let dragged = false;
+    let lastDrag = 0;
+    const turnVelocity = { x: 0, y: 0 };  // Radians per millisecond the galaxy keeps turning after a flick
+
+    // Distribute cards in a spherical galaxy formation (Fibonacci sphere)
+    for (let i = 0; i < cardCount; i++) {
+        const phi = Math.acos(-1 + (2 * i) / cardCount);
+        const theta = Math.sqrt(cardCount * Math.PI) * phi;
+        directions[i * 3] = Math.sin(phi) * Math.cos(theta);
+        directions[i * 3 + 1] = Math.cos(phi);
+        directions[i * 3 + 2] = Math.sin(phi) * Math.sin(theta);
+        axes[i] = i % 3;
+        tilts[i] = Math.random() * Math.PI * 0.1;
+        spins[i] = Math.PI;
+    }
+
+    // The card of the deck an instance shows, see paintDeckIntoAtlas
+    const cardIndexOf = i => getShuffleCardIndex(i, sampled.length);
+
+    // Write one card's matrix: facing the centre while it orbits, free once it has a rotation of its own
+    function writeCard(i, facingCentre) {
+        dummy.position.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        if (facingCentre) {
+            dummy.lookAt(0, 0, 0);
+            dummy.rotation.z += twists[i];
+        } else {
+            dummy.rotation.set(rotations[i * 3], rotations[i * 3 + 1], rotations[i * 3 + 2]);
+        }
+        dummy.scale.setScalar(scales[i]);
+        dummy.updateMatrix();
+        dummy.matrix.multiply(spin.makeRotationY(spins[i]));
+        mesh.setMatrixAt(i, dummy.matrix);
+    }
+
+    // Move a card along its orbit
+    function orbit(i, scale) {
+        const orbitSpeed = options.orbitSpeeds[i % options.orbitSpeeds.length];
+        point.set(directions[i * 3], directions[i * 3 + 1], directions[i * 3 + 2])
+            .applyAxisAngle(ORBIT_AXES[axes[i]], phase * Math.PI * orbitSpeed)
+            .applyQuaternion(orientation)
+            .multiplyScalar(options.radius);
+
+        positions[i * 3] = point.x;
+        positions[i * 3 + 1] = point.y;
+        positions[i * 3 + 2] = point.z;
+        scales[i] = scale;
+        twists[i] = tilts[i] + Math.sin(phase * Math.PI * 10 + i) * 0.01;
+        writeCard(i, true);
+    }
+
+    // Take a card out of its orbit, it continues from where its orbit left it
+    function leaveOrbit(i, state, flightTime) {
+        dummy.position.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+        dummy.lookAt(0, 0, 0);
+        dummy.rotation.z += twists[i];
+        rotations[i * 3] = dummy.rotation.x;
+        rotations[i * 3 + 1] = dummy.rotation.y;
+        rotations[i * 3 + 2] = dummy.rotation.z;
+
+        for (let axis = 0; axis < 3; axis++) {
+            starts[i * 3 + axis] = positions[i * 3 + axis];
+            startRotations[i * 3 + axis] = rotations[i * 3 + axis];
+        }
+        states[i] = state;
+        flightStarts[i] = elapsed;
+        flightTimes[i] = flightTime;
+    }
+
+    // Send a card into a slot: it grows, turns its back up and arcs into place
+    function land(i, slotIndex) {
+        leaveOrbit(i, LANDING, SHUFFLE_LANDING_TIME);
+        landingSlots[i] = slotIndex;
+    }
+
+    // Send a card flying off below the table
+    function leave(i) {
+        leaveOrbit(i, LEAVING, 500 + Math.random() * 200);
+        targets[i * 3] = (Math.random() - 0.5) * 30;
+        targets[i * 3 + 1] = -10 - Math.random() * 5;
+        targets[i * 3 + 2] = (Math.random() - 0.5) * 30;
+    }
+
+    // Move a card that has left its orbit
+    function fly(i) {
+        const t = Math.min((elapsed - flightStarts[i]) / flightTimes[i], 1);
+
+        if (states[i] === LANDING) {
+            const slot = slots[landingSlots[i]];
+            const eased = moveEasing(t);
+            const arcHeight = 4 * Math.sin(t * Math.PI);
+
+            positions[i * 3] = starts[i * 3] + (slot.x - starts[i * 3]) * eased;
+            positions[i * 3 + 1] = starts[i * 3 + 1] + (slot.y - starts[i * 3 + 1]) * eased + arcHeight;
+            positions[i * 3 + 2] = starts[i * 3 + 2] + (slot.z - starts[i * 3 + 2]) * eased;
+            rotations[i * 3] = startRotations[i * 3] + (Math.PI - startRotations[i * 3]) * eased;
+            rotations[i * 3 + 1] = startRotations[i * 3 + 1] * (1 - eased);
+            rotations[i * 3 + 2] = startRotations[i * 3 + 2] + (slot.rotation - startRotations[i * 3 + 2]) * eased;
+            scales[i] = 1.5 - 0.5 * eased;
+            spins[i] = Math.PI * (1 - flipEasing(t));
+        } else {
+            const eased = flyEasing(t);
+            for (let axis = 0; axis < 3; axis++) {
+                positions[i * 3 + axis] = starts[i * 3 + axis] + (targets[i * 3 + axis] - starts[i * 3 + axis]) * eased;
+            }
+            rotations[i * 3] = startRotations[i * 3] + t * 1.1;
+            rotations[i * 3 + 1] = startRotations[i * 3 + 1] + t * 0.7;
+            rotations[i * 3 + 2] = startRotations[i * 3 + 2] + t * 1.4;
+            scales[i] = t < 1 ? 1 - eased * 0.8 : 0;
+        }
+        writeCard(i, false);
+    }
+
+    const isPullable = i => interactive && sampled !== null && endTime === null && i < mesh.count && states[i] === ORBITING;
+
+    // Pull a card into the next empty slot, the other cards showing the same block leave
+    function pull(i) {
+        if (!isPullable(i)) {
+            return false;
+        }
+
+        const cardIndex = cardIndexOf(i);
+        land(i, picks.length);
+        picks.push(sampled[cardIndex].id);
+        for (let j = 0; j < mesh.count; j++) {
+            if (states[j] === ORBITING && cardIndexOf(j) === cardIndex) {
+                leave(j);
+            }
+        }
+        onPull(sampled[cardIndex], picks.length, slots.length);
+
+        // Done once every slot has a card, or when the deck has no other cards to pull
+        let pullable = false;
+        for (let j = 0; j < mesh.count && !pullable; j++) {
+            pullable = states[j] === ORBITING;
+        }
+        if (picks.length === slots.length || !pullable) {
+            finish();
+        }
+        return true;
+    }
+
+    // Fill the slots nobody pulled a card for at random, the rest of the galaxy scatters.
+    // Cards still in flight when the last card lands are cut off with the shuffle
+    function finish() {
+        const candidates = [];
+        for (let i = 0; i < mesh.count; i++) {
+            if (states[i] === ORBITING) {
+                candidates.push(i);
+            }
+        }
+
+        let lastLanding = elapsed;
+        for (let i = 0; i < mesh.count; i++) {
+            if (states[i] === LANDING) {
+                lastLanding = Math.max(lastLanding, flightStarts[i]);
+            }
+        }
+
+        for (let slotIndex = picks.length; slotIndex < slots.length && candidates.length > 0; slotIndex++) {
+            land(candidates.splice(Math.floor(Math.random() * candidates.length), 1)[0], slotIndex);
+        }
+        candidates.forEach(leave);
+        endTime = Math.max(lastLanding, elapsed) + SHUFFLE_LANDING_TIME;
+    }
+
+    // Turn the galaxy around the screen's axes
+    function turnGalaxy(x, y) {
+        orientation.premultiply(turn.setFromAxisAngle(TURN_X, x));
+        orientation.premultiply(turn.setFromAxisAngle(TURN_Y, y));
+    }
+
+    function frame(delta) {
+        elapsed += delta;
+
+        // A slow machine draws fewer cards from here on, unless some of them already fly into the slots
+        if (quality.frame(performance.now()) && picks.length === 0 && endTime === null) {
+            mesh.count = Math.min(mesh.count, Math.max(quality.cardCount, slots.length));
+        }
+
+        // Cards appear from nothingness and form the cosmic sphere
+        const grown = Math.min(elapsed / quality.duration, 1);
+        const scale = 0.01 + moveEasing(grown) * 0.99;
+
+        if (interactive) {
+            // The galaxy swirls slowly once it has formed, faster while the reader holds it
+            const targetSpeed = held && !dragged ? SHUFFLE_HELD_SPEED : (grown < 1 ? 1 : SHUFFLE_IDLE_SPEED);
+            speed += (targetSpeed - speed) * Math.min(delta / 300, 1);
+            phase += (delta / quality.duration) * speed;
+
+            if (!held) {
+                turnGalaxy(turnVelocity.x * delta, turnVelocity.y * delta);
+                const damping = Math.exp(-delta * SHUFFLE_TURN_DAMPING);
+                turnVelocity.x *= damping;
+                turnVelocity.y *= damping;
+            }
+        } else {
+            phase = grown;
+            // The cinematic shuffle holds still for a moment, then deals
+            if (endTime === null && elapsed >= quality.duration + SHUFFLE_PAUSE) {
+                finish();
+            }
+        }
+
+        for (let i = 0; i < mesh.count; i++) {
+            if (states[i] === ORBITING) {
+                orbit(i, scale);
+            } else {
+                fly(i);
+            }
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+
+        return endTime === null || elapsed < endTime;
+    }
+
+    // Show the deck on the cards as soon as it is known, the gradients stay if it never arrives.
+    // Without the deck an interactive shuffle has nothing to pull and deals on its own
+    Promise.resolve(cards)
+        .then(deckCards => {
+            if (!playing) {
+                return null;
+            }
+            sampled = deckCards.length > 0 ? deckCards.slice(0, SHUFFLE_DECK_CARDS) : null;
+            if (!sampled && interactive && endTime === null) {
+                finish();
+            }
+            return sampled && paintDeckIntoAtlas(atlas, sampled, () => playing);
+        })
+        .catch(error => {
+            console.warn('The shuffle could not show the deck:', error);
+            if (playing && interactive && endTime === null) {
+                finish();
+            }
+        });
+
+    quality.start();
+    frame(0);
+    const finished = runEveryFrame(timeline, frame).then(() => {
+        playing = false;
+        scene.remove(mesh);
+        return picks.slice();
+    });
+
+    return {
+        interactive,
+        finished,
+
+        grab() {
+            held = true;
+            dragged = false;
+            turnVelocity.x = 0;
+            turnVelocity.y = 0;
+        },
+
+        drag(dx, dy) {
+            if (!interactive || !held) {
+                return;
+            }
+            // The camera looks at the scene turned by 180 degrees, so the galaxy turns against the pointer
+            const x = -dy * SHUFFLE_DRAG_SPEED;
+            const y = -dx * SHUFFLE_DRAG_SPEED;
+            const now = performance.now();
+            const time = Math.max(now - lastDrag, 1);
+
+            turnGalaxy(x, y);
+            turnVelocity.x = x / time;
+            turnVelocity.y = y / time;
+            dragged = true;
+            lastDrag = now;
+        },
+
+        release() {
+            held = false;
+            // Only a flick keeps the galaxy turning, a drag that came to rest stops it
+            if (performance.now() - lastDrag > 100) {
+                turnVelocity.x = 0;
+                turnVelocity.y = 0;
+            }
+        },
+
+        pullAt(raycaster) {
+            const hit = raycaster.intersectObject(mesh).find(intersection => isPullable(intersection.instanceId));
+            return hit ? pull(hit.instanceId) : false;
+        },
+
+        pullFront() {
+            // The camera looks down at the table from above and in front
+            let nearest = -1;
+            let nearestDistance = -Infinity;
+            for (let i = 0; i < mesh.count; i++) {
+                const distance = positions[i * 3 + 1] * 0.6 + positions[i * 3 + 2] * 0.8;
+                if (isPullable(i) && distance > nearestDistance) {
+                    nearest = i;
+                    nearestDistance = distance;
+                }
+            }
+            return nearest >= 0 ? pull(nearest) : false;
+        }
+    };
+}
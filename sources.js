@@ -0,0 +1,470 @@
+// Content sources
+//
+// Every source exposes the same small interface so the reading never needs to
+// know where its cards come from:
+//
+//   source.name                  - short identifier used in logs
+//   source.fetchDeck()           - (re)load the deck, resolves to an array of blocks
+//   source.drawCards(count, excludeIds) - resolves to `count` different random blocks from the deck
+//   source.sampleCards(count)    - resolves to descriptions of up to `count` cards of the deck, without drawing them
+//   source.getCard(id)           - resolves to a specific block, used to restore shared readings and deal pulled cards
+//   source.getCardChannels(block) - resolves to the channels a block is connected to: [{ title, url }]
+//   source.describeCard(block)   - { id, kind, title, description, content, imageUrl, largeImageUrl,
+//                                    thumbnailUrl, url, author, authorUrl, sourceUrl, domain,
+//                                    provider, fileName, extension }
+//
+// kind is one of 'image', 'text', 'link', 'media' or 'attachment' (see card-faces.js).
+//
+// Blocks keep the Are.na block shape (id, title, description, image.display.url ...)
+// so local decks and Are.na content can be rendered by the same code.
+//
+// Factories accept a `random` function (defaults to Math.random) so a seeded
+// generator from random.js makes deck order and draws reproducible.
+//
+// Are.na requests go through arenaClient (see arena-api.js).
+
+// Are.na API configuration
+const CHANNEL_PAGE_SIZE = 100;  // Blocks requested per channel page
+const CHANNEL_MAX_PAGES = 10;   // Upper bound on pages fetched per channel
+const SEARCH_MAX_QUERIES = 5;   // Queries tried for one deck before giving up
+
+// How long Are.na responses are reused from the cache (see arena-api.js)
+const SEARCH_CACHE_TTL = 60 * 60 * 1000;       // Search results, per query
+const CHANNEL_CACHE_TTL = 10 * 60 * 1000;      // Channel contents change more often
+const BLOCK_CACHE_TTL = 24 * 60 * 60 * 1000;   // Single blocks and their channels
+
+// Check if content has a valid image
+function hasValidImage(content) {
+    return content.image &&
+           content.image.display &&
+           content.image.display.url;
+}
+
+// Get the kind of card a block becomes
+function getBlockKind(block) {
+    const kind = (block.class || '').toLowerCase();
+    if (['image', 'text', 'link', 'media', 'attachment'].includes(kind)) {
+        return kind;
+    }
+    return hasValidImage(block) ? 'image' : 'text';
+}
+
+// Check whether a block can be turned into a card at all
+function isDrawableBlock(block) {
+    if (!block || block.class === 'Channel') {
+        return false;
+    }
+
+    switch (getBlockKind(block)) {
+        case 'image':
+            return Boolean(hasValidImage(block));
+        case 'text':
+            return Boolean(block.content && block.content.trim());
+        default:
+            // Links, media and attachments always have at least a title or a URL
+            return Boolean(block.title || block.generated_title || block.source || block.attachment);
+    }
+}
+
+// Get the host name of a URL without www.
+function getDomain(url) {
+    if (!url) {
+        return '';
+    }
+
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return url;
+    }
+}
+
+// Shuffle blocks into a random order
+function shuffleBlocks(blocks, random = Math.random) {
+    return blocks
+        .map(content => ({
+            ...content,
+            position: random()
+        }))
+        .sort((a, b) => a.position - b.position);
+}
+
+// Describe an Are.na block in a source independent way
+function describeArenaBlock(block) {
+    const image = block.image || {};
+    const largeImage = image.large || image.original || image.display;
+    const user = block.user || null;
+    const source = block.source || {};
+    const attachment = block.attachment || {};
+
+    return {
+        id: block.id,
+        kind: getBlockKind(block),
+        title: block.title || block.generated_title || '',
+        description: block.description || '',
+        content: block.content || '',
+        imageUrl: hasValidImage(block) ? image.display.url : null,
+        largeImageUrl: largeImage ? largeImage.url : null,
+        thumbnailUrl: image.thumb ? image.thumb.url : null,
+        url: `https://www.are.na/block/${block.id}`,
+        author: user ? (user.full_name || user.username || '') : '',
+        authorUrl: user && user.slug ? `https://www.are.na/${user.slug}` : null,
+        sourceUrl: source.url || null,
+        domain: getDomain(source.url),
+        provider: source.provider ? source.provider.name : '',
+        fileName: attachment.file_name || '',
+        extension: attachment.extension || ''
+    };
+}
+
+// Link to an Are.na channel, under its owner when we know them
+function getArenaChannelUrl(channel) {
+    return channel.user && channel.user.slug
+        ? `https://www.are.na/${channel.user.slug}/${channel.slug}`
+        : `https://www.are.na/channel/${channel.slug}`;
+}
+
+// Get the channels a block is connected to, fetching them if the block does not list them
+async function fetchArenaBlockChannels(block) {
+    let channels = block.connections;
+
+    if (!Array.isArray(channels)) {
+        const data = await arenaClient.get(`/blocks/${encodeURIComponent(block.id)}/channels`, {}, { ttl: BLOCK_CACHE_TTL });
+        channels = Array.isArray(data.channels) ? data.channels : [];
+    }
+
+    return channels.map(channel => ({
+        title: channel.title,
+        url: getArenaChannelUrl(channel)
+    }));
+}
+
+// Fetch a single Are.na block by id
+function fetchArenaBlock(id) {
+    return arenaClient.get(`/blocks/${encodeURIComponent(id)}`, {}, { ttl: BLOCK_CACHE_TTL });
+}
+
+// Build a source around a function that loads its blocks
+// loadBlock (optional) fetches a single block directly instead of searching the deck
+// loadChannels (optional) fetches the channels a block is connected to
+function createContentSource({ name, loadBlocks, loadBlock, loadChannels, describeCard, random = Math.random }) {
+    let deck = [];
+    let loading = null;
+
+    // Lazily load the deck on first use, draws that arrive while it loads wait for the same load
+    async function ensureDeck() {
+        if (deck.length === 0) {
+            loading = loading || source.fetchDeck().finally(() => {
+                loading = null;
+            });
+            await loading;
+        }
+
+        if (deck.length === 0) {
+            throw new Error(`Content source "${name}" has no cards`);
+        }
+    }
+
+    const source = {
+        name,
+
+        async fetchDeck() {
+            deck = shuffleBlocks(await loadBlocks(), random);
+            return deck;
+        },
+
+        // Draw without replacement, skipping the blocks in excludeIds (e.g. cards already on the table).
+        // Only a deck smaller than the draw repeats cards, starting over once every card was drawn
+        async drawCards(count, excludeIds = []) {
+            await ensureDeck();
+
+            const excluded = new Set(excludeIds.map(String));
+            let remaining = deck.filter(block => !excluded.has(String(block.id)));
+            const blocks = [];
+
+            while (blocks.length < count) {
+                if (remaining.length === 0) {
+                    console.warn(`Content source "${name}" has fewer than ${count} cards, some will repeat`);
+                    remaining = deck.slice();
+                }
+
+                const randomIndex = Math.floor(random() * remaining.length);
+                blocks.push(remaining.splice(randomIndex, 1)[0]);
+            }
+
+            return blocks;
+        },
+
+        // Describe up to count cards of the deck without drawing them, e.g. to show the deck in the shuffle
+        async sampleCards(count) {
+            await ensureDeck();
+            return deck.slice(0, count).map(block => describeCard(block));
+        },
+
+        // Blocks of the loaded deck are returned as they are, others are loaded
+        async getCard(id) {
+            const inDeck = deck.find(card => String(card.id) === String(id));
+            if (inDeck) {
+                return inDeck;
+            }
+            if (loadBlock) {
+                return loadBlock(id);
+            }
+
+            if (deck.length === 0) {
+                await source.fetchDeck();
+            }
+
+            const block = deck.find(card => String(card.id) === String(id));
+            if (!block) {
+                throw new Error(`Content source "${name}" has no card ${id}`);
+            }
+            return block;
+        },
+
+        async getCardChannels(block) {
+            return loadChannels ? loadChannels(block) : [];
+        },
+
+        describeCard
+    };
+
+    return source;
+}
+
+// Fetch every block of a single channel, page by page
+async function fetchChannelContents(slug) {
+    const blocks = [];
+
+    for (let page = 1; page <= CHANNEL_MAX_PAGES; page++) {
+        const data = await arenaClient.get(`/channels/${encodeURIComponent(slug)}/contents`, { page, per: CHANNEL_PAGE_SIZE }, { ttl: CHANNEL_CACHE_TTL });
+        if (!data.contents || !Array.isArray(data.contents)) {
+            throw new ArenaApiError(`Invalid contents received for channel "${slug}"`, { kind: 'invalid' });
+        }
+
+        blocks.push(...data.contents);
+
+        // A short page means we reached the end of the channel
+        if (data.contents.length < CHANNEL_PAGE_SIZE) {
+            break;
+        }
+    }
+
+    return blocks;
+}
+
+// Are.na search using a random query for every deck
+function createArenaSearchSource({ getQuery, random }) {
+    const loadBlocks = async () => {
+        // Queries without any usable blocks are skipped, but only a few times
+        for (let attempt = 1; attempt <= SEARCH_MAX_QUERIES; attempt++) {
+            const query = getQuery();
+            const searchData = await arenaClient.get('/search', { q: query, per: 100 }, { ttl: SEARCH_CACHE_TTL });
+
+            if (!searchData.blocks || !Array.isArray(searchData.blocks)) {
+                throw new ArenaApiError(`Invalid search data received for "${query}"`, { kind: 'invalid' });
+            }
+
+            // Keep every block that can become a card
+            const blocks = searchData.blocks.filter(isDrawableBlock);
+            if (blocks.length > 0) {
+                return blocks;
+            }
+
+            console.warn(`No cards found for "${query}", trying another query`);
+        }
+
+        throw new Error(`No cards found in ${SEARCH_MAX_QUERIES} searches`);
+    };
+
+    return createContentSource({
+        name: 'arena-search',
+        loadBlocks,
+        loadBlock: fetchArenaBlock,
+        loadChannels: fetchArenaBlockChannels,
+        describeCard: describeArenaBlock,
+        random
+    });
+}
+
+// One or more Are.na channels combined into a single deck
+function createArenaChannelSource(slugs, { random } = {}) {
+    return createContentSource({
+        name: 'arena-channel',
+
+        async loadBlocks() {
+            const results = await Promise.allSettled(slugs.map(fetchChannelContents));
+            const seen = new Set();
+            const blocks = [];
+
+            results.forEach((result, i) => {
+                if (result.status === 'rejected') {
+                    console.warn(`Skipping channel "${slugs[i]}":`, result.reason);
+                    return;
+                }
+
+                // The same block can be connected to several channels - keep it once
+                result.value.forEach(block => {
+                    if (!seen.has(block.id)) {
+                        seen.add(block.id);
+                        blocks.push(block);
+                    }
+                });
+            });
+
+            return blocks.filter(isDrawableBlock);
+        },
+
+        loadBlock: fetchArenaBlock,
+        loadChannels: fetchArenaBlockChannels,
+        describeCard: describeArenaBlock,
+        random
+    });
+}
+
+// Convert a local deck entry (an image path or a card object) to a block
+function toLocalBlock(entry, index, baseUrl) {
+    const card = typeof entry === 'string' ? { image: entry } : entry;
+    if (!card || (!card.image && !card.text)) {
+        throw new Error(`Local deck card ${index} has neither an image nor text`);
+    }
+
+    const imageUrl = card.image ? new URL(card.image, baseUrl).href : null;
+    const thumbUrl = card.thumbnail ? new URL(card.thumbnail, baseUrl).href : imageUrl;
+
+    return {
+        id: card.id !== undefined ? card.id : `local-${index}`,
+        class: card.image ? 'Image' : 'Text',
+        title: card.title || '',
+        description: card.description || '',
+        content: card.text || '',
+        image: imageUrl ? {
+            display: { url: imageUrl },
+            thumb: { url: thumbUrl }
+        } : null,
+        source: card.url ? { url: card.url } : null,
+        user: card.author ? { full_name: card.author } : null,
+        isLocal: true
+    };
+}
+
+// A deck described by a JSON manifest next to a folder of images:
+//
+//   { "name": "My deck", "cards": ["one.jpg", { "image": "two.jpg", "title": "Two", "author": "Me" }, { "text": "Three" }] }
+//
+// Image paths are resolved relative to the manifest, so the whole folder can be
+// copied onto an exhibition machine and read without a network connection.
+function createLocalDeckSource(manifestUrl, { random } = {}) {
+    return createContentSource({
+        name: 'local',
+
+        async loadBlocks() {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load local deck "${manifestUrl}" (${response.status})`);
+            }
+
+            const manifest = await response.json();
+            if (!manifest || !Array.isArray(manifest.cards)) {
+                throw new Error(`Local deck "${manifestUrl}" has no cards array`);
+            }
+
+            const baseUrl = new URL(manifestUrl, window.location.href);
+            return manifest.cards.map((entry, i) => toLocalBlock(entry, i, baseUrl));
+        },
+
+        describeCard(block) {
+            const sourceUrl = block.source ? block.source.url : null;
+
+            return {
+                id: block.id,
+                kind: getBlockKind(block),
+                title: block.title,
+                description: block.description,
+                content: block.content,
+                imageUrl: block.image ? block.image.display.url : null,
+                largeImageUrl: block.image ? block.image.display.url : null,
+                thumbnailUrl: block.image ? block.image.thumb.url : null,
+                url: sourceUrl,
+                author: block.user ? block.user.full_name : '',
+                authorUrl: null,
+                sourceUrl,
+                domain: getDomain(sourceUrl),
+                provider: '',
+                fileName: '',
+                extension: ''
+            };
+        },
+
+        random
+    });
+}
+
+// Try each source in order, using the first one that yields cards
+function createFallbackSource(sources) {
+    let active = sources[0];
+
+    const source = {
+        name: sources.map(s => s.name).join('|'),
+
+        async fetchDeck() {
+            for (let i = 0; i < sources.length; i++) {
+                try {
+                    const deck = await sources[i].fetchDeck();
+                    if (deck.length > 0) {
+                        active = sources[i];
+                        return deck;
+                    }
+                    console.warn(`Content source "${sources[i].name}" has no cards, falling back`);
+                } catch (error) {
+                    console.warn(`Content source "${sources[i].name}" failed, falling back:`, error);
+                }
+            }
+            throw new Error('No content source produced any cards');
+        },
+
+        async drawCards(count, excludeIds) {
+            try {
+                return await active.drawCards(count, excludeIds);
+            } catch (error) {
+                // Walk the fallback chain once and draw from whichever source worked
+                await source.fetchDeck();
+                return active.drawCards(count, excludeIds);
+            }
+        },
+
+        async sampleCards(count) {
+            try {
+                return await active.sampleCards(count);
+            } catch (error) {
+                await source.fetchDeck();
+                return active.sampleCards(count);
+            }
+        },
+
+        // The active source first, a card pulled from its deck must not switch sources
+        async getCard(id) {
+            const ordered = [active, ...sources.filter(s => s !== active)];
+            for (let i = 0; i < ordered.length; i++) {
+                try {
+                    const block = await ordered[i].getCard(id);
+                    active = ordered[i];
+                    return block;
+                } catch (error) {
+                    console.warn(`Content source "${ordered[i].name}" has no card ${id}:`, error);
+                }
+            }
+            throw new Error(`No content source has card ${id}`);
+        },
+
+        getCardChannels(block) {
+            return active.getCardChannels(block);
+        },
+
+        describeCard(block) {
+            return active.describeCard(block);
+        }
+    };
+
+    return source;
+}
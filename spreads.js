@@ -0,0 +1,185 @@
+// Spread definitions
+//
+// A spread describes how cards are dealt onto the table and what each revealed
+// card means:
+//
+//   id          - used in the ?spread= URL parameter
+//   name        - human readable name
+//   description - shown as the page subtitle
+//   slots       - one entry per dealt card: { x, y, z, rotation } in scene units as
+//                 seen on screen (x to the right, y up), z (optional) lifts a card
+//                 above the ones it covers, rotation (radians) turns the card in
+//                 the table plane
+//   portraitSlots - (optional) slots used instead on narrow portrait screens,
+//                 same length and order as slots
+//   positions   - the meaning of each revealed card: { label, meaning }, meaning
+//                 is a phrase the written reading uses (see interpretation.js)
+//   assignment  - 'reveal-order': the nth revealed card gets the nth position,
+//                 wherever it lies (more slots than positions lets the reader choose)
+//                 'slot': the card in slots[i] always gets positions[i]
+//   view        - minimum camera distance multiplier, the camera moves further
+//                 back when the spread does not fit the screen
+
+// Card dimensions used by the layouts (matches the card geometry in script.js)
+const SPREAD_CARD_WIDTH = 2;
+const SPREAD_GAP = 1.2;            // Horizontal gap between cards
+const SPREAD_ROW_HEIGHT = 4.4;     // Card height plus room for the label beneath it
+
+// Lay out a centered single row of cards
+function rowLayout(count) {
+    const step = SPREAD_CARD_WIDTH + SPREAD_GAP;
+    const totalWidth = count * step - SPREAD_GAP;
+
+    const slots = [];
+    for (let i = 0; i < count; i++) {
+        slots.push({
+            x: i * step - totalWidth / 2 + SPREAD_CARD_WIDTH / 2,
+            y: 0,
+            rotation: 0
+        });
+    }
+    return slots;
+}
+
+// Lay out cards in centered rows of at most `columns` cards, top row first
+function gridLayout(count, columns) {
+    const step = SPREAD_CARD_WIDTH + SPREAD_GAP;
+    const rows = Math.ceil(count / columns);
+
+    const slots = [];
+    for (let i = 0; i < count; i++) {
+        const row = Math.floor(i / columns);
+        const column = i % columns;
+        const cardsInRow = Math.min(columns, count - row * columns);
+
+        slots.push({
+            x: (column - (cardsInRow - 1) / 2) * step,
+            y: ((rows - 1) / 2 - row) * SPREAD_ROW_HEIGHT,
+            rotation: 0
+        });
+    }
+    return slots;
+}
+
+// Built-in spreads
+const SPREADS = {
+    'single': {
+        id: 'single',
+        name: 'Single Card',
+        description: 'Select one card to reveal your guidance',
+        slots: rowLayout(3),
+        positions: [
+            { label: 'Guidance', meaning: 'the advice the cards have for you' }
+        ],
+        assignment: 'reveal-order',
+        view: 1
+    },
+
+    'three-card': {
+        id: 'three-card',
+        name: 'Past, Present, Future',
+        description: 'Select three cards to reveal your Past, Present and Future',
+        slots: rowLayout(4),
+        portraitSlots: gridLayout(4, 2),
+        positions: [
+            { label: 'Past', meaning: 'what has brought you here' },
+            { label: 'Present', meaning: 'where you stand now' },
+            { label: 'Future', meaning: 'where things are heading' }
+        ],
+        assignment: 'reveal-order',
+        view: 1
+    },
+
+    'five-card-cross': {
+        id: 'five-card-cross',
+        name: 'Five Card Cross',
+        description: 'Reveal the cross to see where you stand and where you are heading',
+        slots: [
+            { x: 0, y: 0, rotation: 0 },
+            { x: -3.6, y: 0, rotation: 0 },
+            { x: 3.6, y: 0, rotation: 0 },
+            { x: 0, y: -SPREAD_ROW_HEIGHT, rotation: 0 },
+            { x: 0, y: SPREAD_ROW_HEIGHT, rotation: 0 }
+        ],
+        positions: [
+            { label: 'Present', meaning: 'the heart of the matter' },
+            { label: 'Past', meaning: 'what lies behind you' },
+            { label: 'Future', meaning: 'what lies ahead' },
+            { label: 'Foundation', meaning: 'what the situation rests on' },
+            { label: 'Potential', meaning: 'what could still come of it' }
+        ],
+        assignment: 'slot',
+        view: 1.5
+    },
+
+    'celtic-cross': {
+        id: 'celtic-cross',
+        name: 'Celtic Cross',
+        description: 'Reveal all ten cards of the Celtic Cross',
+        slots: [
+            // The cross
+            { x: -3.5, y: 0, rotation: 0 },
+            { x: -3.5, y: 0, z: 0.1, rotation: Math.PI / 2 },
+            { x: -3.5, y: -SPREAD_ROW_HEIGHT, rotation: 0 },
+            { x: -7.1, y: 0, rotation: 0 },
+            { x: -3.5, y: SPREAD_ROW_HEIGHT, rotation: 0 },
+            { x: 0.1, y: 0, rotation: 0 },
+            // The staff, from bottom to top
+            { x: 5.5, y: -SPREAD_ROW_HEIGHT * 1.5, rotation: 0 },
+            { x: 5.5, y: -SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            { x: 5.5, y: SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            { x: 5.5, y: SPREAD_ROW_HEIGHT * 1.5, rotation: 0 }
+        ],
+        portraitSlots: [
+            // The cross on top
+            { x: 0, y: SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            { x: 0, y: SPREAD_ROW_HEIGHT * 0.5, z: 0.1, rotation: Math.PI / 2 },
+            { x: 0, y: -SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            { x: -3.6, y: SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            { x: 0, y: SPREAD_ROW_HEIGHT * 1.5, rotation: 0 },
+            { x: 3.6, y: SPREAD_ROW_HEIGHT * 0.5, rotation: 0 },
+            // The staff as a row beneath it, left to right
+            ...rowLayout(4).map(slot => ({ ...slot, y: -SPREAD_ROW_HEIGHT * 1.5 }))
+        ],
+        positions: [
+            { label: 'Present', meaning: 'the heart of the matter' },
+            { label: 'Challenge', meaning: 'what crosses you' },
+            { label: 'Foundation', meaning: 'what lies beneath it all' },
+            { label: 'Past', meaning: 'what is passing' },
+            { label: 'Crown', meaning: 'what you are reaching for' },
+            { label: 'Near Future', meaning: 'what comes next' },
+            { label: 'Self', meaning: 'how you meet the situation' },
+            { label: 'Environment', meaning: 'the people and places around you' },
+            { label: 'Hopes & Fears', meaning: 'what you hope for and what you fear' },
+            { label: 'Outcome', meaning: 'where it all leads' }
+        ],
+        assignment: 'slot',
+        view: 2.1
+    }
+};
+
+const DEFAULT_SPREAD_ID = 'three-card';
+
+// Look up a spread by id, falling back to the default spread
+function getSpread(id) {
+    if (id && SPREADS[id]) {
+        return SPREADS[id];
+    }
+
+    if (id) {
+        console.warn(`Unknown spread "${id}", using "${DEFAULT_SPREAD_ID}"`);
+    }
+    return SPREADS[DEFAULT_SPREAD_ID];
+}
+
+// Get the slots to deal into for the screen orientation
+function getSpreadSlots(spread, portrait) {
+    return portrait && spread.portraitSlots ? spread.portraitSlots : spread.slots;
+}
+
+// Get the position a card takes when revealed
+// slotIndex: where the card lies, revealIndex: how many cards were revealed before it
+function getSpreadPosition(spread, slotIndex, revealIndex) {
+    const index = spread.assignment === 'slot' ? slotIndex : revealIndex;
+    return spread.positions[index] || null;
+}
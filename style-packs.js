@@ -0,0 +1,245 @@
+// Style packs
+//
+// A style pack is the look of the table: the card back, the edges of the cards,
+// the background, the labels of revealed cards and the page's CSS variables.
+// The built-in packs are below, more can be added with registerStylePack():
+//
+//   registerStylePack({
+//     id: 'moonlight',                       - used in the ?style= URL parameter
+//     name: 'Moonlight',                     - shown in the style picker
+//     cardBack: 'card-backs/moonlight.svg',  - image of the card back, relative to the page
+//     cardBackColor: '#111a33',              - (optional) fills the card back when its image does not load
+//     edgeColor: '#c9d4f2',                  - sides of the cards
+//     background: '#050a18',                 - behind the scene
+//     label: {                               - labels under revealed cards
+//       font: '"Cormorant Unicase", cursive', color: '#ffffff', glow: '#9ec5ff', gradient: 'rgba(46, 84, 168, 0.7)'
+//     },
+//     css: { '--primary-color': '#050a18' }  - (optional) CSS variables set on the page, see styles.css
+//   });
+//
+// Fields a pack leaves out come from the classic pack. Label fonts have to be
+// loaded by the page (see the fonts in index.html).
+//
+// A card back is never shown larger than a card on screen, so its image is
+// downscaled to the height this screen needs (see getCardBackHeight), compressed
+// to WebP and kept in the Cache API. Later visits load the small variant
+// instead of the original (tarot.png alone is 3.8 MB). Variants are keyed by the
+// image URL: rename a card back, or bump CARD_BACK_CACHE_NAME, when its image changes.
+// The original is only fetched to make a missing variant; until a card back is
+// ready the DOM cards show a plain gradient rather than loading it themselves.
+
+const DEFAULT_STYLE_PACK_ID = 'classic';
+const CARD_BACK_CACHE_NAME = 'arena-tarot-card-backs-v1';
+const CARD_BACK_HEIGHTS = [256, 512, 1024, 2048];  // Heights in pixels card back variants are made in
+const CARD_BACK_SCREEN_SHARE = 0.5;                // Most of the screen height one card takes up
+const CARD_BACK_QUALITY = 0.85;                    // WebP quality of the variants
+
+const STYLE_PACKS = {
+    'classic': {
+        id: 'classic',
+        name: 'Classic',
+        cardBack: 'tarot.png',
+        cardBackColor: '#ff0000',
+        edgeColor: '#eeeeee',
+        background: '#010101',
+        label: {
+            font: '"Cormorant Unicase", cursive',
+            color: 'white',
+            glow: 'gold',
+            gradient: 'rgba(138, 43, 226, 0.7)'  // BlueViolet with transparency
+        },
+        css: {
+            '--primary-color': '#010101',
+            '--secondary-color': '#222222',
+            '--accent-color': '#323232',
+            '--text-color': '#ecf0f1',
+            '--card-bg': '#222222',
+            '--card-border': '#c0392b'
+        }
+    }
+};
+
+// Add a style pack, or replace the one with the same id
+function registerStylePack(pack) {
+    if (!pack || !pack.id || !pack.name) {
+        throw new Error('A style pack needs an id and a name');
+    }
+
+    const classic = STYLE_PACKS[DEFAULT_STYLE_PACK_ID];
+    STYLE_PACKS[pack.id] = {
+        ...classic,
+        ...pack,
+        label: { ...classic.label, ...pack.label },
+        css: { ...classic.css, ...pack.css }
+    };
+    return STYLE_PACKS[pack.id];
+}
+
+registerStylePack({
+    id: 'moonlight',
+    name: 'Moonlight',
+    cardBack: 'card-backs/moonlight.svg',
+    cardBackColor: '#111a33',
+    edgeColor: '#c9d4f2',
+    background: '#050a18',
+    label: {
+        color: '#ffffff',
+        glow: '#9ec5ff',
+        gradient: 'rgba(46, 84, 168, 0.7)'
+    },
+    css: {
+        '--primary-color': '#050a18',
+        '--secondary-color': '#111a33',
+        '--accent-color': '#26355c',
+        '--text-color': '#e6ecff',
+        '--card-bg': '#111a33',
+        '--card-border': '#9ec5ff'
+    }
+});
+
+registerStylePack({
+    id: 'ember',
+    name: 'Ember',
+    cardBack: 'card-backs/ember.svg',
+    cardBackColor: '#3a0f06',
+    edgeColor: '#f3d9b1',
+    background: '#120604',
+    label: {
+        font: '"DM Sans", sans-serif',
+        color: '#fff4e0',
+        glow: '#ffb347',
+        gradient: 'rgba(196, 74, 24, 0.7)'
+    },
+    css: {
+        '--primary-color': '#120604',
+        '--secondary-color': '#2a0d06',
+        '--accent-color': '#5c2412',
+        '--text-color': '#fbe9d0',
+        '--card-bg': '#2a0d06',
+        '--card-border': '#ffb347'
+    }
+});
+
+// Look up a pack by id, falling back to the classic pack
+function getStylePack(id) {
+    if (id && STYLE_PACKS[id]) {
+        return STYLE_PACKS[id];
+    }
+
+    if (id) {
+        console.warn(`Unknown style pack "${id}", using "${DEFAULT_STYLE_PACK_ID}"`);
+    }
+    return STYLE_PACKS[DEFAULT_STYLE_PACK_ID];
+}
+
+// Every registered pack, for the style picker
+function listStylePacks() {
+    return Object.values(STYLE_PACKS);
+}
+
+// Set a pack's CSS variables on the page, plus the ones the DOM cards and labels use.
+// cardBackUrl (optional) is the card back to show, null for none; without it the card back stays as it is
+function applyStyleVariables(pack, cardBackUrl, root = document.documentElement) {
+    Object.entries(pack.css).forEach(([name, value]) => root.style.setProperty(name, value));
+    if (cardBackUrl !== undefined) {
+        root.style.setProperty('--card-back-image', cardBackUrl ? `url("${cardBackUrl}")` : 'none');
+    }
+    root.style.setProperty('--label-font', pack.label.font);
+    root.style.setProperty('--label-color', pack.label.color);
+    root.style.setProperty('--label-glow', pack.label.glow);
+}
+
+// Height in pixels a card back needs on this screen, one of CARD_BACK_HEIGHTS
+function getCardBackHeight() {
+    const screenHeight = (window.screen && window.screen.height) || window.innerHeight || 0;
+    const needed = screenHeight * (window.devicePixelRatio || 1) * CARD_BACK_SCREEN_SHARE;
+    return CARD_BACK_HEIGHTS.find(height => height >= needed) || CARD_BACK_HEIGHTS[CARD_BACK_HEIGHTS.length - 1];
+}
+
+// Open the cache card back variants are kept in, null where there is no Cache API
+function openCardBackCache() {
+    if (typeof caches === 'undefined') {
+        return Promise.resolve(null);
+    }
+    return caches.open(CARD_BACK_CACHE_NAME).catch(error => {
+        console.warn('Card backs are not cached:', error);
+        return null;
+    });
+}
+
+// Shrink an image to a height, halving it step by step so the result stays sharp
+function downscaleImage(image, height) {
+    let source = image;
+    let sourceWidth = image.naturalWidth || image.width;
+    let sourceHeight = image.naturalHeight || image.height;
+
+    do {
+        const nextHeight = Math.max(height, Math.round(sourceHeight / 2));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(sourceWidth * nextHeight / sourceHeight));
+        canvas.height = nextHeight;
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        source = canvas;
+        sourceWidth = canvas.width;
+        sourceHeight = canvas.height;
+    } while (sourceHeight > height);
+
+    return source;
+}
+
+// Compress a canvas to WebP (or whatever the browser can encode), null when it cannot be read back
+function compressCanvas(canvas) {
+    return new Promise(resolve => {
+        try {
+            canvas.toBlob(resolve, 'image/webp', CARD_BACK_QUALITY);
+        } catch (error) {
+            // A card back from another origin without CORS headers taints the canvas
+            resolve(null);
+        }
+    });
+}
+
+// Load a pack's card back at the size this screen needs
+// Resolves to { image, url, release() } (image for textures, url for CSS, release() frees the url),
+// or null when the image does not load and cardBackColor has to do
+async function loadCardBack(pack, height = getCardBackHeight()) {
+    const sourceUrl = new URL(pack.cardBack, window.location.href).href;
+    const cacheKey = `${sourceUrl}${sourceUrl.includes('?') ? '&' : '?'}height=${height}`;
+    const cache = await openCardBackCache();
+
+    // A variant made on an earlier visit
+    const cached = cache ? await cache.match(cacheKey).catch(() => null) : null;
+    if (cached) {
+        const url = URL.createObjectURL(await cached.blob());
+        const image = await loadFaceImage(url);
+        if (image) {
+            return { image, url, release: () => URL.revokeObjectURL(url) };
+        }
+        URL.revokeObjectURL(url);
+    }
+
+    const original = await loadFaceImage(sourceUrl);
+    if (!original) {
+        console.error(`Error loading the card back of the "${pack.id}" style: ${pack.cardBack}`);
+        return null;
+    }
+
+    // Small images are used as they are
+    if ((original.naturalHeight || original.height) <= height) {
+        return { image: original, url: sourceUrl, release: () => {} };
+    }
+
+    const canvas = downscaleImage(original, height);
+    const blob = await compressCanvas(canvas);
+    if (!blob) {
+        return { image: canvas, url: sourceUrl, release: () => {} };
+    }
+
+    if (cache) {
+        cache.put(cacheKey, new Response(blob, { headers: { 'Content-Type': blob.type } }))
+            .catch(error => console.warn('The card back could not be cached:', error));
+    }
+    const url = URL.createObjectURL(blob);
+    return { image: canvas, url, release: () => URL.revokeObjectURL(url) };
+}
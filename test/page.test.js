@@ -0,0 +1,153 @@
+// Page tests
+//
+// Load the page's scripts in the order index.html does, into a context with
+// just enough of a window and document to run the reading flow of script.js
+// without three.js. The renderer is replaced with a stub that records its calls.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Every local script index.html loads, script.js last
+const PAGE_SCRIPTS = [...fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').matchAll(/<script src="([^":]+)"/g)]
+    .map(match => match[1]);
+
+// A context with the page's scripts loaded at a URL, run(code) evaluates code in it
+function loadPage(search) {
+    const window = {
+        location: new URL(`https://example.com/index.html${search}`),
+        history: { replaceState: (state, title, url) => (window.location = new URL(url)) },
+        addEventListener() {}
+    };
+    const document = {
+        addEventListener() {},
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+
+    const context = vm.createContext({
+        window, document, console, URL, URLSearchParams, TextEncoder, TextDecoder, btoa, atob, setTimeout, clearTimeout
+    });
+    PAGE_SCRIPTS.forEach(file => {
+        const fullPath = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+
+    return { window, context, run: code => vm.runInContext(code, context) };
+}
+
+// Replace the page's renderer with one that only records the calls the reading flow makes
+function stubRenderer(page, calls) {
+    page.context.rendererStub = {
+        name: 'stub',
+        fitSpread: spread => calls.push(['fitSpread', spread.id]),
+        clear: () => {
+            calls.push(['clear']);
+            return Promise.resolve();
+        }
+    };
+    page.run('readingRenderer = rendererStub');
+}
+
+test('resetting a shared reading goes back to the configured spread', async () => {
+    const token = Buffer.from(JSON.stringify({ v: 1, s: 'single', c: [[0, 'sun']] })).toString('base64url');
+    const page = loadPage(`?spread=celtic-cross&reading=${token}`);
+    const calls = [];
+
+    // What init does for a shared link, up to a completed reading
+    page.run(`
+        shuffleOptions = getShuffleOptions();
+        currentSpread = getConfiguredSpread();
+        sharedReading = getSharedReading();
+        currentSpread = getSpread(sharedReading.spread);
+        readingEngine = createConfiguredEngine();
+        readingState.transition('complete');
+        fetchRandomContent = () => new Promise(() => {});
+    `);
+    stubRenderer(page, calls);
+    assert.strictEqual(page.run('currentSpread.id'), 'single');
+
+    page.run('resetTarotReading()');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(page.run('currentSpread.id'), 'celtic-cross');
+    assert.strictEqual(page.run('readingEngine.spread.id'), 'celtic-cross');
+    assert.strictEqual(page.window.location.searchParams.has('reading'), false);
+    assert.deepStrictEqual(calls, [['clear'], ['fitSpread', 'celtic-cross']]);
+});
+
+test('resetting a reading of the configured spread keeps the view', async () => {
+    const page = loadPage('?spread=celtic-cross');
+    const calls = [];
+
+    page.run(`
+        shuffleOptions = getShuffleOptions();
+        currentSpread = getConfiguredSpread();
+        readingEngine = createConfiguredEngine();
+        readingState.transition('complete');
+        fetchRandomContent = () => new Promise(() => {});
+    `);
+    stubRenderer(page, calls);
+
+    page.run('resetTarotReading()');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(page.run('currentSpread.id'), 'celtic-cross');
+    assert.deepStrictEqual(calls, [['clear']]);
+});
+
+test('a flip that fails puts the card back and lets the reader try again', async () => {
+    const page = loadPage('?spread=single');
+    const calls = [];
+
+    page.context.stubSource = {
+        drawCards: async count => Array.from({ length: count }, (_, index) => ({ id: index + 1 })),
+        describeCard: block => ({ id: block.id, title: `Card ${block.id}` })
+    };
+    page.run(`
+        currentSpread = getConfiguredSpread();
+        contentSource = stubSource;
+        readingEngine = createConfiguredEngine();
+        readingState.transition('dealt');
+    `);
+    stubRenderer(page, calls);
+    page.context.rendererStub.prepareCard = async () => {};
+    page.context.rendererStub.flipCard = async () => {
+        throw new Error('Flip failed');
+    };
+
+    const errors = [];
+    page.context.console = { ...console, error: (...args) => errors.push(args) };
+    await page.run('readingEngine.deal()');
+
+    page.run('flipCard(0)');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.strictEqual(page.run('readingState.getState()'), 'dealt');
+    assert.strictEqual(errors[0][0], 'Error revealing card:');
+    assert.strictEqual(errors[0][1].message, 'Flip failed');
+});
+
+test('a malformed data.json is explained on the page', async () => {
+    const page = loadPage('');
+    page.context.console = { ...console, log() {}, error() {} };
+    page.context.fetch = async () => ({
+        ok: true,
+        json: async () => ({ version: 2, categories: [{ id: 'a', weight: -1, queries: ['', '', ''] }] })
+    });
+
+    const message = await page.run('loadQueriesFromJson()');
+    assert.strictEqual(message, 'data.json is malformed: categories[0].weight must be a number of at least 0; '
+        + 'categories[0].queries[0] must not be empty; categories[0].queries[1] must not be empty (and 1 more). '
+        + 'Until it is fixed, readings draw from a few general queries instead.');
+    assert.strictEqual(page.run('countQueries(queryTaxonomy)'), 5);
+
+    page.context.fetch = async () => ({ ok: false });
+    assert.strictEqual(await page.run('loadQueriesFromJson()'),
+        'data.json could not be loaded, readings draw from a few general queries instead.');
+});
@@ -0,0 +1,173 @@
+// Search query tests
+//
+// data.json is read into weighted categories by queries.js, malformed files
+// are refused with every problem listed.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('../cli.js');
+
+loadScripts();
+
+// Parse data and return the problems it is refused for, none when it is read
+function getProblems(data) {
+    try {
+        parseQueryData(data);
+        return [];
+    } catch (error) {
+        assert.ok(error instanceof QueryDataError);
+        return error.problems;
+    }
+}
+
+// A random generator that returns the given numbers in turn
+const sequence = (...numbers) => () => numbers.shift();
+
+test('the data.json of the repo is valid', () => {
+    const taxonomy = parseQueryData(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8')));
+    assert.ok(countQueries(taxonomy) > 0);
+});
+
+test('version 2 data is read with its defaults filled in', () => {
+    const taxonomy = parseQueryData({
+        version: 2,
+        categories: [
+            { id: 'art_movements', queries: ['Bauhaus', { query: ' Dada ', weight: 2 }] },
+            { id: 'artists', name: 'Painters', weight: 3, spreads: { single: 0.5 }, queries: ['Hilma af Klint'] }
+        ]
+    });
+
+    assert.deepStrictEqual(taxonomy.categories[0], {
+        id: 'art_movements',
+        name: 'Art movements',
+        enabled: true,
+        weight: 1,
+        spreads: {},
+        queries: [{ query: 'Bauhaus', weight: 1 }, { query: 'Dada', weight: 2 }]
+    });
+    assert.strictEqual(taxonomy.categories[1].name, 'Painters');
+    assert.strictEqual(taxonomy.categories[1].weight, 3);
+    assert.deepStrictEqual(taxonomy.categories[1].spreads, { single: 0.5 });
+    assert.strictEqual(countQueries(taxonomy), 3);
+});
+
+test('the original format of query lists is upgraded', () => {
+    const taxonomy = parseQueryData({ art_movements: ['Bauhaus', 'Dada'], 'street-art': ['Banksy'] });
+
+    assert.deepStrictEqual(taxonomy.categories.map(category => [category.id, category.name]), [
+        ['art_movements', 'Art movements'],
+        ['street-art', 'Street art']
+    ]);
+    assert.deepStrictEqual(taxonomy.categories[0].queries.map(entry => entry.query), ['Bauhaus', 'Dada']);
+});
+
+test('a query listed twice in a category is kept once', () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+        const taxonomy = parseQueryData({
+            version: 2,
+            categories: [
+                { id: 'a', queries: ['Bauhaus', 'bauhaus ', { query: 'BAUHAUS', weight: 5 }, 'Dada'] },
+                { id: 'b', queries: ['Bauhaus'] }
+            ]
+        });
+
+        assert.deepStrictEqual(taxonomy.categories[0].queries, [{ query: 'Bauhaus', weight: 1 }, { query: 'Dada', weight: 1 }]);
+        assert.deepStrictEqual(taxonomy.categories[1].queries, [{ query: 'Bauhaus', weight: 1 }]);
+        assert.strictEqual(warnings.length, 2);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('negative and non-numeric weights are refused', () => {
+    const problems = getProblems({
+        version: 2,
+        categories: [
+            { id: 'a', weight: -1, queries: [{ query: 'Bauhaus', weight: '2' }] },
+            { id: 'b', weight: 'heavy', spreads: { single: -0.5, 'three-card': null }, queries: [{ query: 'Dada', weight: NaN }] }
+        ]
+    });
+
+    assert.deepStrictEqual(problems, [
+        'categories[0].weight must be a number of at least 0',
+        'categories[0].queries[0].weight must be a number of at least 0',
+        'categories[1].weight must be a number of at least 0',
+        'categories[1].spreads["single"] must be a number of at least 0',
+        'categories[1].spreads["three-card"] must be a number of at least 0',
+        'categories[1].queries[0].weight must be a number of at least 0'
+    ]);
+});
+
+test('malformed files list every problem', () => {
+    assert.deepStrictEqual(getProblems([]), ['the file must contain an object']);
+    assert.deepStrictEqual(getProblems({ version: 2, categories: [] }), [
+        'categories must be a list with at least one category'
+    ]);
+    assert.deepStrictEqual(getProblems({
+        version: 3,
+        categories: [
+            { id: 'a', queries: ['Bauhaus'] },
+            { id: 'a', enabled: 'yes', queries: [] },
+            { name: 5, queries: ['', { weight: 1 }] }
+        ]
+    }), [
+        'version must be 2',
+        'categories[1].id "a" is used by another category',
+        'categories[1].enabled must be true or false',
+        'categories[1].queries must be a list with at least one query',
+        'categories[2].id must be a non-empty string',
+        'categories[2].name must be a string',
+        'categories[2].queries[0] must not be empty',
+        'categories[2].queries[1] must be a query or { "query": "...", "weight": 1 }'
+    ]);
+});
+
+test('disabled categories and queries are never drawn', () => {
+    const taxonomy = parseQueryData({
+        version: 2,
+        categories: [
+            { id: 'off', enabled: false, queries: ['Bauhaus'] },
+            { id: 'on', queries: [{ query: 'Dada', enabled: false }, 'Fluxus'] },
+            { id: 'empty', queries: [{ query: 'Cubism', enabled: false }] }
+        ]
+    });
+
+    assert.deepStrictEqual(getQueryThemes(taxonomy).map(category => category.id), ['on']);
+    assert.strictEqual(countQueries(taxonomy), 1);
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual(pickQuery(taxonomy, { random: Math.random }).query, 'Fluxus');
+    }
+
+    // A theme that is switched off draws from every category instead
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.strictEqual(pickQuery(taxonomy, { theme: 'off', random: Math.random }).query, 'Fluxus');
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('draws follow the weights of categories, spreads and queries', () => {
+    const taxonomy = parseQueryData({
+        version: 2,
+        categories: [
+            { id: 'a', weight: 1, spreads: { single: 0 }, queries: ['Bauhaus'] },
+            { id: 'b', weight: 3, queries: [{ query: 'Dada', weight: 1 }, { query: 'Fluxus', weight: 3 }] }
+        ]
+    });
+
+    // Category weights 1 and 3 split the range at 0.25, query weights 1 and 3 too
+    assert.strictEqual(pickQuery(taxonomy, { random: sequence(0.2) }).query, 'Bauhaus');
+    assert.strictEqual(pickQuery(taxonomy, { random: sequence(0.3, 0.2) }).query, 'Dada');
+    assert.strictEqual(pickQuery(taxonomy, { random: sequence(0.3, 0.3) }).query, 'Fluxus');
+
+    // The single spread never draws from category a
+    assert.strictEqual(pickQuery(taxonomy, { spread: 'single', random: sequence(0, 0.9) }).category.id, 'b');
+    assert.strictEqual(findQueryCategory(taxonomy, 'Fluxus').id, 'b');
+});
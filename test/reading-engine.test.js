@@ -0,0 +1,109 @@
+// Reading engine tests
+//
+// Run the engine in Node on the example deck, the way cli.js does, and check
+// that a finished reading survives the trip through a permalink:
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { installFileFetch, loadScripts, createSource, revealAll, getPageUrl } = require('../cli.js');
+
+const DECK = path.join(__dirname, '..', 'decks', 'example', 'deck.json');
+
+installFileFetch();
+loadScripts();
+
+// An engine dealing from the example deck
+function createEngine(spreadId, seed, options = {}) {
+    const random = createSeededRandom(seed);
+    const spread = getSpread(spreadId);
+    return createReadingEngine({
+        source: createSource({ deck: DECK }, spread, random, () => null),
+        spread,
+        random,
+        ...options
+    });
+}
+
+// Ids of the revealed cards in reveal order
+const getIds = result => result.cards.map(card => card.id);
+
+test('a seeded reading deals different cards and replays the same', async () => {
+    const first = createEngine('three-card', 'abc123');
+    await first.deal();
+    await revealAll(first);
+
+    const second = createEngine('three-card', 'abc123');
+    await second.deal();
+    await revealAll(second);
+
+    const ids = getIds(first.getResult());
+    assert.strictEqual(first.isComplete(), true);
+    assert.strictEqual(new Set(ids).size, 3);
+    assert.deepStrictEqual(getIds(second.getResult()), ids);
+});
+
+test('chosen cards fill the first slots and are not dealt again', async () => {
+    const engine = createEngine('three-card', 'chosen');
+    await engine.deal(['moon', 'sun']);
+    await revealAll(engine);
+
+    const ids = getIds(engine.getResult());
+    assert.deepStrictEqual(ids.slice(0, 2), ['moon', 'sun']);
+    assert.strictEqual(new Set(ids).size, 3);
+});
+
+test('a card revealed before the deal finishes is kept and not dealt again', async () => {
+    const engine = createEngine('three-card', 'c');
+    const dealing = engine.deal();
+    const revealed = await engine.reveal(0);
+    await dealing;
+
+    await engine.reveal(1);
+    await engine.reveal(2);
+
+    const ids = getIds(engine.getResult());
+    assert.strictEqual(ids[0], revealed.id);
+    assert.strictEqual(new Set(ids).size, 3);
+});
+
+test('a permalink restores the same reading', async () => {
+    const engine = createEngine('five-card-cross', 'permalink', { reversalChance: 0.5 });
+    await engine.deal();
+    await revealAll(engine);
+    const result = engine.getResult();
+
+    const url = new URL(getPageUrl({ deck: DECK }, 'permalink', result), 'https://example.com/');
+    assert.strictEqual(url.searchParams.get('deck'), 'decks/example/deck.json');
+    assert.strictEqual(url.searchParams.get('seed'), 'permalink');
+
+    const shared = decodeReading(url.searchParams.get('reading'));
+    const restored = createEngine(shared.spread, 'other');
+    const outcomes = await restored.restore(shared);
+    assert.ok(outcomes.every(outcome => outcome.status === 'fulfilled'));
+
+    const restoredResult = restored.getResult();
+    assert.deepStrictEqual(getIds(restoredResult), getIds(result));
+    assert.deepStrictEqual(restoredResult.cards.map(card => card.label), result.cards.map(card => card.label));
+    assert.deepStrictEqual(restoredResult.cards.map(card => card.slot), result.cards.map(card => card.slot));
+});
+
+test('a permalink keeps the channels and theme of the reading', () => {
+    const result = { spread: 'single', query: 'Bauhaus', cards: [{ slot: 0, id: 123, reversed: false }] };
+    const url = new URL(getPageUrl({ channel: 'my-deck,another-deck', theme: 'artists' }, 'abc', result), 'https://example.com/');
+
+    assert.strictEqual(url.searchParams.get('channel'), 'my-deck,another-deck');
+    assert.strictEqual(url.searchParams.get('theme'), 'artists');
+    assert.strictEqual(url.searchParams.has('deck'), false);
+});
+
+test('the page and the command line read reversal settings alike', () => {
+    assert.strictEqual(parseReversalChance('on'), 0.5);
+    assert.strictEqual(parseReversalChance('off'), 0);
+    assert.strictEqual(parseReversalChance('0.3'), 0.3);
+    assert.strictEqual(parseReversalChance('2'), 1);
+    assert.strictEqual(parseReversalChance('-1'), 0);
+    assert.strictEqual(parseReversalChance(undefined), 0);
+});
@@ -0,0 +1,112 @@
+// Reading state machine tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const fullPath = path.join(__dirname, '..', 'reading-state.js');
+vm.runInThisContext(fs.readFileSync(fullPath, 'utf8'), { filename: fullPath });
+
+test('a reading goes through its whole flow and starts again', () => {
+    const machine = createReadingMachine();
+    const flow = ['shuffling', 'dealt', 'revealing', 'dealt', 'revealing', 'complete', 'resetting', 'loading'];
+
+    assert.strictEqual(machine.getState(), 'loading');
+    flow.forEach(next => {
+        assert.strictEqual(machine.can(next), true, `${machine.getState()} → ${next}`);
+        machine.transition(next);
+        assert.strictEqual(machine.getState(), next);
+        assert.strictEqual(machine.is(next), true);
+    });
+    assert.strictEqual(machine.is('dealt', 'loading'), true);
+});
+
+test('transitions the flow does not allow are refused', () => {
+    const machine = createReadingMachine();
+
+    assert.strictEqual(machine.can('revealing'), false);
+    assert.throws(() => machine.transition('revealing'), { message: 'Invalid reading transition: loading → revealing' });
+    assert.strictEqual(machine.getState(), 'loading');
+
+    machine.transition('shuffling');
+    assert.strictEqual(machine.can('resetting'), false);
+    assert.throws(() => machine.transition('resetting'), /Invalid reading transition/);
+
+    machine.transition('dealt');
+    machine.transition('revealing');
+    assert.strictEqual(machine.can('revealing'), false);
+    assert.strictEqual(machine.can('resetting'), false);
+    assert.throws(() => machine.transition('revealing'), /Invalid reading transition/);
+    assert.strictEqual(machine.getState(), 'revealing');
+});
+
+test('unknown states are refused', () => {
+    assert.throws(() => createReadingMachine('waiting'), { message: 'Unknown reading state: waiting' });
+
+    const machine = createReadingMachine();
+    assert.strictEqual(machine.can('waiting'), false);
+    assert.throws(() => machine.transition('waiting'), { message: 'Unknown reading state: waiting' });
+});
+
+test('a reading that cannot be prepared ends in error, and can be loaded or reset from there', () => {
+    const fromLoading = createReadingMachine();
+    fromLoading.transition('error', { error: 'offline' });
+    assert.strictEqual(fromLoading.getState(), 'error');
+    assert.deepStrictEqual(fromLoading.getDetail(), { error: 'offline' });
+    assert.strictEqual(fromLoading.can('dealt'), false);
+    fromLoading.transition('loading');
+
+    const fromShuffle = createReadingMachine();
+    fromShuffle.transition('shuffling');
+    fromShuffle.transition('error');
+
+    const fromReset = createReadingMachine('complete');
+    fromReset.transition('resetting');
+    fromReset.transition('error');
+    fromReset.transition('resetting');
+
+    // Cards on the table are never an error
+    const dealt = createReadingMachine('dealt');
+    assert.strictEqual(dealt.can('error'), false);
+});
+
+test('listeners hear every transition until they unsubscribe', () => {
+    const machine = createReadingMachine();
+    const heard = [];
+    const other = [];
+    const unsubscribe = machine.subscribe(event => heard.push(event));
+    machine.subscribe(event => other.push(event.to));
+
+    machine.transition('dealt');
+    machine.transition('revealing', { cardIndex: 2 });
+    assert.deepStrictEqual(heard, [
+        { from: 'loading', to: 'dealt', detail: {} },
+        { from: 'dealt', to: 'revealing', detail: { cardIndex: 2 } }
+    ]);
+
+    unsubscribe();
+    unsubscribe();
+    machine.transition('complete');
+    assert.strictEqual(heard.length, 2);
+    assert.deepStrictEqual(other, ['dealt', 'revealing', 'complete']);
+
+    // A refused transition is not heard
+    assert.throws(() => machine.transition('dealt'));
+    assert.deepStrictEqual(other, ['dealt', 'revealing', 'complete']);
+});
+
+test('a listener may unsubscribe while it is called', () => {
+    const machine = createReadingMachine();
+    const heard = [];
+    const unsubscribe = machine.subscribe(() => {
+        heard.push('first');
+        unsubscribe();
+    });
+    machine.subscribe(() => heard.push('second'));
+
+    machine.transition('dealt');
+    machine.transition('revealing');
+    assert.deepStrictEqual(heard, ['first', 'second', 'second']);
+});
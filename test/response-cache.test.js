@@ -0,0 +1,52 @@
+// Response cache tests
+//
+// Node has no Cache API, so a small in-memory stand-in plays the browser's
+// store (keys are listed in the order they were stored, like the real one).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('../cli.js');
+
+loadScripts();
+
+// A Cache API store keeping Responses in a Map
+function createFakeStore() {
+    const responses = new Map();
+    return {
+        responses,
+        match: async key => (responses.has(key) ? responses.get(key).clone() : undefined),
+        put: async (key, response) => {
+            responses.delete(key);
+            responses.set(key, response);
+        },
+        delete: async key => responses.delete(key),
+        keys: async () => [...responses.keys()]
+    };
+}
+
+// A response cache on a fresh fake store
+function createCache(options) {
+    const store = createFakeStore();
+    globalThis.caches = { open: async () => store };
+    return { store, cache: createResponseCache({ name: 'test', ...options }) };
+}
+
+test('stale responses are deleted when they are read', async () => {
+    const { store, cache } = createCache({ memoryEntries: 0 });
+    await cache.set('a', { id: 1 });
+    assert.deepStrictEqual(await cache.get('a', 60000), { id: 1 });
+
+    // Older than the lookup allows
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await cache.get('a', 1), null);
+    assert.strictEqual(store.responses.has('a'), false);
+});
+
+test('the store keeps only the newest responses', async () => {
+    const { store, cache } = createCache({ storeEntries: 3 });
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+        await cache.set(key, key);
+    }
+
+    assert.deepStrictEqual([...store.responses.keys()], ['c', 'd', 'e']);
+});
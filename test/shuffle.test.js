@@ -0,0 +1,51 @@
+// Cosmic shuffle tests
+//
+// The card a reader pulls out of the galaxy has to be the card its shuffle card
+// showed. The atlas is painted on a canvas (rows from the top) and uploaded with
+// flipY, so texture coordinates count rows from the bottom.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const fullPath = path.join(__dirname, '..', 'shuffle.js');
+vm.runInThisContext(fs.readFileSync(fullPath, 'utf8'), { filename: fullPath });
+
+// Paint a deck into an atlas canvas that only records which card lands at which tile
+async function paintDeck(cards) {
+    const painted = new Map();
+    let origin = null;
+    const ctx = {
+        save() {},
+        restore() {},
+        rotate() {},
+        translate: (x, y) => (origin = { x: x - SHUFFLE_TILE_WIDTH / 2, y: y - SHUFFLE_TILE_HEIGHT / 2 }),
+        drawImage: face => painted.set(`${origin.x},${origin.y}`, face.card)
+    };
+
+    globalThis.loadShuffleFace = async card => ({ card, width: 256, height: 384 });
+    await paintDeckIntoAtlas({ image: { getContext: () => ctx } }, cards, () => true);
+    return painted;
+}
+
+// The card an instance shows on screen: its texture offset, read back into the canvas the way flipY uploads it
+function getShownCard(painted, instance) {
+    const { u, v } = getAtlasTileOffset(instance % SHUFFLE_DECK_CARDS);
+    const x = Math.round(u * SHUFFLE_ATLAS_COLUMNS) * SHUFFLE_TILE_WIDTH;
+    const y = Math.round((1 - v) * SHUFFLE_ATLAS_ROWS - 1) * SHUFFLE_TILE_HEIGHT;
+    return painted.get(`${x},${y}`);
+}
+
+test('every shuffle card shows the card pulling it deals', async () => {
+    for (const deckSize of [1, 3, 4, 5, 9, 16]) {
+        const cards = Array.from({ length: deckSize }, (_, index) => ({ id: `card-${index}` }));
+        const painted = await paintDeck(cards);
+
+        for (let instance = 0; instance < 60; instance++) {
+            const pulled = cards[getShuffleCardIndex(instance, cards.length)];
+            assert.strictEqual(getShownCard(painted, instance), pulled, `instance ${instance} of a deck of ${deckSize}`);
+        }
+    }
+});
@@ -0,0 +1,207 @@
+// Tweens
+//
+// Every animation in the scene runs on one timeline that the render loop
+// advances once per frame (see animate() in script.js), instead of each
+// animation running its own requestAnimationFrame loop. Because they share a
+// clock, all animations can be slowed down, sped up or paused together.
+//
+// A tween either moves numeric properties of a target towards new values:
+//
+//   timeline.tween({ target: card.scale, to: { x: 1.1, y: 1.1 }, duration: 200, easing: 'easeOutQuad' })
+//
+// or calls onUpdate(easedProgress, progress) every frame for anything custom.
+// Starting a tween on properties another tween is still moving takes them over,
+// so for example a hover scale never fights a preview scale.
+//
+// tween() returns a handle that can be awaited (resolves to true when the tween
+// finished, false when it was cancelled), cancelled, or chained with a next tween.
+
+// Named easing functions, progress in and out between 0 and 1
+const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - Math.pow(1 - t, 2),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutSine: t => Math.sin(t * Math.PI / 2)
+};
+
+// Longest step the clock takes in one frame, so animations continue where they
+// were after the tab was in the background instead of jumping to their end
+const TIMELINE_MAX_STEP = 100;
+
+// Look up an easing by name (or pass a function through)
+function getEasing(easing) {
+    if (typeof easing === 'function') {
+        return easing;
+    }
+    if (!EASINGS[easing]) {
+        throw new Error(`Unknown easing: ${easing}`);
+    }
+    return EASINGS[easing];
+}
+
+// Create a timeline; call update(now) once per frame with a timestamp in milliseconds
+function createTimeline() {
+    const tweens = [];
+    let time = 0;           // Timeline clock, only runs while not paused
+    let lastNow = null;
+    let timeScale = 1;
+    let paused = false;
+
+    // Stop other tweens moving any of the properties this tween is about to move
+    function takeOver(tween) {
+        const keys = Object.keys(tween.to);
+        tweens.forEach(other => {
+            if (other !== tween && other.state === 'running' && other.target === tween.target &&
+                Object.keys(other.to).some(key => keys.includes(key))) {
+                other.handle.cancel();
+            }
+        });
+    }
+
+    function start(tween) {
+        tween.state = 'running';
+        tween.startTime = time;
+
+        if (tween.target) {
+            takeOver(tween);
+            Object.keys(tween.to).forEach(key => {
+                tween.from[key] = tween.target[key];
+            });
+        }
+    }
+
+    function step(tween) {
+        const progress = tween.duration > 0 ? Math.min((time - tween.startTime) / tween.duration, 1) : 1;
+        const eased = tween.easing(progress);
+
+        if (tween.target) {
+            Object.keys(tween.to).forEach(key => {
+                tween.target[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * eased;
+            });
+        }
+        if (tween.onUpdate) {
+            tween.onUpdate(eased, progress);
+        }
+
+        if (progress >= 1) {
+            tween.state = 'done';
+            tween.resolve(true);
+        }
+    }
+
+    // Add a tween
+    // options: { target, to, duration, delay, easing, onUpdate(eased, progress), after }
+    // `after` is another handle, the tween waits for it to finish first
+    function tween(options) {
+        const tween = {
+            target: options.target || null,
+            to: options.to || {},
+            from: {},
+            duration: options.duration || 0,
+            delay: options.delay || 0,
+            easing: getEasing(options.easing || 'linear'),
+            onUpdate: options.onUpdate || null,
+            after: options.after || null,
+            state: 'waiting',
+            startTime: 0,
+            readyTime: options.after ? null : time
+        };
+
+        const promise = new Promise(resolve => {
+            tween.resolve = resolve;
+        });
+
+        tween.handle = {
+            then: (onFulfilled, onRejected) => promise.then(onFulfilled, onRejected),
+            cancel() {
+                if (tween.state !== 'done' && tween.state !== 'cancelled') {
+                    tween.state = 'cancelled';
+                    tween.resolve(false);
+                }
+            },
+            chain: nextOptions => timelineApi.tween({ ...nextOptions, after: tween.handle }),
+            isActive: () => tween.state === 'waiting' || tween.state === 'running'
+        };
+
+        // A chained tween starts when the one before it finishes, and is dropped if that one is cancelled
+        if (tween.after) {
+            tween.after.then(completed => {
+                if (!completed) {
+                    tween.handle.cancel();
+                } else if (tween.state === 'waiting') {
+                    tween.readyTime = time;
+                }
+            });
+        }
+
+        tweens.push(tween);
+
+        // Tweens without a delay take their start values right away
+        if (!tween.after && tween.delay === 0) {
+            start(tween);
+        }
+        return tween.handle;
+    }
+
+    // A tween that does nothing for a while, to await a pause between steps
+    function wait(duration) {
+        return tween({ duration });
+    }
+
+    // Advance every tween to the given timestamp
+    function update(now) {
+        const delta = lastNow === null ? 0 : Math.min(Math.max(now - lastNow, 0), TIMELINE_MAX_STEP);
+        lastNow = now;
+
+        if (paused) {
+            return;
+        }
+        time += delta * timeScale;
+
+        // Tweens added while updating (chained ones) are picked up next frame
+        tweens.slice().forEach(tween => {
+            if (tween.state === 'waiting' && tween.readyTime !== null && time >= tween.readyTime + tween.delay) {
+                start(tween);
+            }
+            if (tween.state === 'running') {
+                step(tween);
+            }
+        });
+
+        for (let i = tweens.length - 1; i >= 0; i--) {
+            if (tweens[i].state === 'done' || tweens[i].state === 'cancelled') {
+                tweens.splice(i, 1);
+            }
+        }
+    }
+
+    // Cancel every tween, or only the tweens moving properties of one target
+    function cancel(target) {
+        tweens.forEach(tween => {
+            if (target === undefined || tween.target === target) {
+                tween.handle.cancel();
+            }
+        });
+    }
+
+    const timelineApi = {
+        tween,
+        wait,
+        update,
+        cancel,
+        setTimeScale: scale => {
+            timeScale = scale > 0 ? scale : 1;
+        },
+        getTimeScale: () => timeScale,
+        setPaused: value => {
+            paused = Boolean(value);
+        },
+        isPaused: () => paused,
+        isAnimating: () => tweens.some(tween => tween.state === 'running')
+    };
+
+    return timelineApi;
+}